@@ -0,0 +1,169 @@
+const { nameOf } = require("./apple-script/sourcemap.js");
+
+/** Verbosity of each level; a logger emits entries at or below its own level. */
+const LEVELS = { silent: 0, error: 1, info: 2, debug: 3 };
+
+/** What redacted text is replaced with. */
+const MASK = "***";
+
+/** An AppleScript string literal. */
+const STRING_LITERAL = /"(?:\\.|[^"\\])*"/g;
+
+/** Typed text and clipboard writes, recognised wherever they appear in a script: [pattern, replacement]. */
+const SENSITIVE_CODE = [
+  [/(\bkeystroke )"(?:\\.|[^"\\])*"/g, `$1"${MASK}"`],                             // ui.typeText, pressHotkey
+  [/(\bset the clipboard to ).*/g, `$1${MASK}`],
+  [/(\bdo shell script )"(?:\\.|[^"\\])*\bpbcopy\b(?:\\.|[^"\\])*"/g, `$1"${MASK}"`] // copyToClipboard
+];
+
+/** Builders whose every string literal is typed or filled into a page. */
+const SENSITIVE_BUILDERS = new Set(["dom.type", "dom.fillForm", "dom.simulateTyping"]);
+
+/** A script that reads the clipboard may print it, so its output is masked. */
+const READS_CLIPBOARD = /\bthe clipboard\b/;
+
+/**
+ * @typedef {object} LogEntry
+ * @property {"error"|"info"|"debug"} level
+ * @property {string} message
+ * @property {Date} time
+ * Plus the structured fields of the entry, e.g. `id`, `duration`, `steps`.
+ */
+
+/**
+ * @private
+ * Default sink: one console line per entry, fields as an object.
+ * @param {LogEntry} entry
+ */
+function consoleSink({ level, message, time, ...fields }) {
+  const write = level === "error" ? console.error : console.log;
+  write(`[Osascript] ${message}`, fields);
+}
+
+/**
+ * @class Logger
+ * @classdesc Leveled, structured logging for `Osascript`. Entries go to a
+ * pluggable `sink` as `{ level, message, time, ...fields }`; nothing is
+ * formatted or printed unless the level is enabled.
+ *
+ * | Level    | Entries                                                            |
+ * |----------|--------------------------------------------------------------------|
+ * | `silent` | none                                                               |
+ * | `error`  | failed scripts, worker diagnostics                                 |
+ * | `info`   | + one line per finished script: `id`, `duration`, `steps`         |
+ * | `debug`  | + the script source, its arguments, output and `log` lines         |
+ *
+ * Text is redacted before it reaches the sink: typed keystrokes, clipboard
+ * writes, `dom.type` / `dom.fillForm` / `dom.simulateTyping` values, the call's `secrets`
+ * and anything matched by the `redact` rules are replaced with `***`. The
+ * output of scripts that read the clipboard is masked as a whole.
+ *
+ * @example
+ * const script = new Osascript({
+ *   logger: { level: "debug", sink: (entry) => pino[entry.level](entry), redact: [/token=\w+/] }
+ * });
+ * await script.executeScript([AppleScript.ui.typeText(password)]); // logged as keystroke "***"
+ */
+class Logger {
+  /**
+   * @param {object} [options]
+   * @param {"silent"|"error"|"info"|"debug"} [options.level="info"]
+   * @param {(entry: LogEntry) => void} [options.sink] - Receives every enabled entry; defaults to the console
+   * @param {Array<RegExp|((text: string) => string)>} [options.redact] - Extra rules: matches of a
+   * RegExp are masked, a function returns the redacted text
+   */
+  constructor({ level = "info", sink = consoleSink, redact = [] } = {}) {
+    if (!(level in LEVELS)) throw new TypeError(`Unknown log level: ${level}`);
+    this.level = level;
+    this.sink = sink;
+    this.rules = redact.map(rule => (rule instanceof RegExp && !rule.global ? new RegExp(rule.source, `${rule.flags}g`) : rule));
+  }
+
+  /**
+   * @param {"error"|"info"|"debug"} level
+   * @returns {boolean} Whether entries at `level` reach the sink
+   */
+  enabled(level) {
+    return LEVELS[level] > 0 && LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Sends an entry to the sink if its level is enabled. A sink that throws
+   * does not affect the script being logged.
+   * @param {"error"|"info"|"debug"} level
+   * @param {string} message
+   * @param {object} [fields]
+   */
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) return;
+    try {
+      this.sink({ level, message, time: new Date(), ...fields });
+    } catch {
+      // logging is best effort
+    }
+  }
+
+  /** @param {string} message @param {object} [fields] */
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+
+  /** @param {string} message @param {object} [fields] */
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  /** @param {string} message @param {object} [fields] */
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  /**
+   * Masks `secrets` and whatever the `redact` rules match.
+   * @param {string} text
+   * @param {Array<string|number>} [secrets]
+   * @returns {string}
+   */
+  redact(text, secrets = []) {
+    let out = String(text);
+    for (const secret of secrets) {
+      const value = String(secret);
+      if (!value) continue;
+      // also the form it takes inside an AppleScript string literal
+      for (const form of new Set([value, value.replace(/[\\"]/g, "\\$&")])) out = out.split(form).join(MASK);
+    }
+    for (const rule of this.rules) {
+      out = typeof rule === "function" ? String(rule(out)) : out.replace(rule, MASK);
+    }
+    return out;
+  }
+
+  /**
+   * Redacts generated script steps: typed text, clipboard writes and the
+   * literals of sensitive builders, then everything `redact` masks.
+   * @param {string[]} steps
+   * @param {Array<string|number>} [secrets]
+   * @returns {string[]}
+   */
+  redactSteps(steps, secrets = []) {
+    return steps.map((step) => {
+      let text = String(step);
+      if (SENSITIVE_BUILDERS.has(nameOf(text))) text = text.replace(STRING_LITERAL, `"${MASK}"`);
+      for (const [pattern, replacement] of SENSITIVE_CODE) text = text.replace(pattern, replacement);
+      return this.redact(text, secrets);
+    });
+  }
+
+  /**
+   * Redacts a script's output; all of it when the script reads the clipboard.
+   * @param {string} output
+   * @param {string} script - The script that produced `output`
+   * @param {Array<string|number>} [secrets]
+   * @returns {string}
+   */
+  redactOutput(output, script, secrets = []) {
+    return READS_CLIPBOARD.test(script) && output ? MASK : this.redact(output, secrets);
+  }
+}
+
+module.exports = { Logger, LEVELS };
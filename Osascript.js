@@ -1,12 +1,37 @@
-const path = require("path");
 const { AppleScript } = require("./apple-script/Apple.js");
-const { spawn } = require("child_process");
+const { parseResult } = require("./apple-script/parse.js");
+const { SourceMap, nameOf, snippet } = require("./apple-script/sourcemap.js");
+const { JXA, jxaScript } = require("./apple-script/jxa.js");
+const { decodePageResult, pageErrorOf } = require("./apple-script/dom.js");
+const { Block } = require("./apple-script/block.js");
+const { captureEpilogue, collectCaptured } = require("./apple-script/capture.js");
+const { Session } = require("./Session");
+const { argvOf } = require("./apple-script/args.js");
+const { ScriptCache } = require("./ScriptCache");
+const { Logger } = require("./Logger");
+const { WorkerBackend } = require("./backends");
+const { EventEmitter } = require("events");
+const { OsascriptError, OsascriptTimeoutError, OsascriptAbortError, OsascriptClosedError } = require("./errors");
+
+/** Backend lifecycle events re-emitted by `Osascript`. */
+const LIFECYCLE_EVENTS = ["spawn", "exit", "crash", "restart", "failed", "close"];
+
+/** First line of `osascript`'s error report; everything on stderr before it is `log` output. */
+const ERROR_REPORT = /^(?:\d+:\d+: )?(?:execution|syntax) error: /;
 
 /**
  * @class Osascript
  * @classdesc A persistent AppleScript executor that runs commands through a background Node.js subprocess
  * for faster and queued execution of AppleScript via `osascript`.
  *
+ * How scripts actually run is up to the backend passed at construction:
+ * `WorkerBackend` (default, persistent worker), `ProcessBackend` (one `osascript`
+ * per call) or `RecordingBackend` (records scripts, returns canned output — runs anywhere).
+ * Lifecycle events of the backend (`spawn`, `exit`, `crash`, `restart`, `failed`,
+ * `close`) are re-emitted on the `Osascript` instance.
+ *
+ * @fires Osascript#log `line` — a script wrote a line with `log` (or `console.log` in JXA)
+ *
  * @example
  * const { Osascript } = require('./index.js');
  * const script = new Osascript();
@@ -19,124 +44,361 @@ const { spawn } = require("child_process");
  *
  * script.close(); // Always close when done
  */
-class Osascript {
-  /**
-   * @private
-   * @type {import('child_process').ChildProcessWithoutNullStreams | null}
-   */
-  mainThread;
-
+class Osascript extends EventEmitter {
   /**
    * @type {typeof AppleScript}
    * @description Exposes static AppleScript builder commands
    */
   appleCommands = AppleScript;
 
+  /**
+   * @type {typeof JXA}
+   * @description Ready-made functions for `executeJXA` (`application`, `finder`)
+   */
+  jxaCommands = JXA;
+
+  /**
+   * @type {{run: Function, close: Function, restart?: Function}}
+   * @description Backend that executes the generated scripts
+   */
+  backend;
+
+  /**
+   * @type {ScriptCache | null}
+   * @description Compiled-script cache, when enabled
+   */
+  cache = null;
+
+  /**
+   * @type {Logger}
+   * @description Where script runs, results and failures are logged (see `Logger` for the levels)
+   */
+  logger;
+
   /**
    * @private
-   * @type {Array<{resolve: Function, reject: Function}>}
-   * @description Tracks pending promises waiting for output
+   * @type {boolean}
    */
-  #pending = [];
+  #closed = false;
 
   /**
-   * Spawns the persistent background process (mainThread) used to run AppleScript commands.
-   * This improves performance by avoiding repeated process spawning.
+   * @private
+   * @type {number}
+   * @description Id of the next script run, used to tie its log entries together
    */
-  constructor() {
-    const workerPath = path.join(__dirname, "workers", "index.js");
+  #nextId = 1;
 
-    this.mainThread = spawn(
-      process.execPath,     // node runtime
-      [workerPath],         // must be an array of strings
-      { stdio: ["pipe", "pipe", "pipe"],
-      env: { ...process.env, ELECTRON_RUN_AS_NODE: "1" } }
-    );
+  /**
+   * @param {object} [options]
+   * @param {object} [options.backend] - Execution backend; defaults to a new `WorkerBackend`
+   * @param {object} [options.worker] - Options for the default `WorkerBackend`
+   * (`onCrash`, `maxRestarts`, `backoff`)
+   * @param {boolean|object|ScriptCache} [options.cache] - Compile scripts once with `osacompile` and
+   * run the compiled file on later calls: `true`, `ScriptCache` options (`dir`, `maxEntries`) or an instance
+   * @param {string|object|Logger} [options.logger] - A level (`"silent"`, `"error"`, `"info"`, `"debug"`),
+   * `Logger` options (`level`, `sink`, `redact`) or an instance. Defaults to `info` on the console
+   */
+  constructor({ backend, worker, cache, logger } = {}) {
+    super();
+    this.logger = logger instanceof Logger ? logger : new Logger(typeof logger === "string" ? { level: logger } : logger);
+    this.backend = backend ?? new WorkerBackend({ logger: this.logger, ...worker });
+    if (cache) this.cache = cache instanceof ScriptCache ? cache : new ScriptCache(cache === true ? {} : cache);
+
+    if (typeof this.backend.on === "function") {
+      for (const event of LIFECYCLE_EVENTS) {
+        this.backend.on(event, (...args) => this.emit(event, ...args));
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {{timeout?: number, signal?: AbortSignal}} options
+   * @returns {{signal: AbortSignal | undefined, dispose: Function}}
+   * Folds `timeout` and the caller's `signal` into one signal for the backend,
+   * whose abort reason is the typed error the call should reject with.
+   */
+  #cancellation({ timeout, signal }) {
+    if (!timeout && !signal) return { signal: undefined, dispose: () => {} };
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(new OsascriptAbortError(signal.reason));
+    const timer = timeout ? setTimeout(() => controller.abort(new OsascriptTimeoutError(timeout)), timeout) : null;
+
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+
+    return {
+      signal: controller.signal,
+      dispose: () => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+      }
+    };
+  }
 
-    this.mainThread.stderr.on("data", this.#errorHandler.bind(this));
-    this.mainThread.stdout.on("data", this.#handleOutput.bind(this));
+  /**
+   * @private
+   * @param {(line: string) => void} [onLog] - The caller's per-call listener
+   * @param {{id: number, secrets: Array<string|number>}} run - The run the lines belong to, for the logger
+   * @returns {{write: Function, end: Function, received: boolean, error: string}}
+   * Splits a script's stderr into lines. `log` lines go to `onLog` and the
+   * `log` event as soon as they are complete; from the first line of an error
+   * report on, the text is kept in `error` instead.
+   */
+  #stderrReader(onLog, { id, secrets }) {
+    let partial = "";
+    const reader = {
+      received: false,
+      error: "",
+      write: (chunk) => {
+        reader.received = true;
+        const lines = (partial + chunk).split("\n");
+        partial = lines.pop();
+        lines.forEach(line => reader.line(line));
+      },
+      end: () => {
+        if (partial) reader.line(partial);
+        partial = "";
+      },
+      line: (line) => {
+        if (reader.error || ERROR_REPORT.test(line)) {
+          reader.error += `${line}\n`;
+          return;
+        }
+        try {
+          onLog?.(line);
+        } catch (err) {
+          this.logger.error("onLog listener threw", { id, error: err });
+        }
+        this.logger.debug("Script log", { id, line: this.logger.redact(line, secrets) });
+        this.emit("log", line);
+      }
+    };
+    return reader;
   }
 
   /**
    * @private
-   * @param {Buffer} err
-   * Handles error output from the child process and rejects the associated promise.
+   * Logs a run that threw or exited with an error; its message is redacted like
+   * the script, and its snippet shows the redacted script.
+   * @param {{script: string, shown: () => string}} source - The script and its redacted form
    */
-  #errorHandler(err) {
-    console.error("[Osascript][stderr]", err?.toString());
-    const current = this.#pending.shift();
-    if (current) current.reject(err.toString());
+  #logFailure(run, started, error, secrets, { script, shown }) {
+    if (!this.logger.enabled("error")) return;
+    let message = error?.message ?? String(error);
+    if (error?.snippet) message = message.replace(error.snippet, snippet(script, error.range, 2, shown()));
+    this.logger.error("Script failed", {
+      ...run,
+      duration: Date.now() - started,
+      ...(error?.step && { step: { index: error.step.index, name: error.step.name } }),
+      error: this.logger.redactSteps([message], secrets)[0]
+    });
   }
 
   /**
    * @private
-   * @param {Buffer} out
-   * Handles stdout output from the child process and resolves the associated promise.
-   */
-  #handleOutput(out) {
-    const output = out?.toString();
-    console.log("[Osascript][stdout]", output);
-    const current = this.#pending.shift();
-    if (current) current.resolve(output);
+   * @param {string[]} steps - Builder outputs / lines making up the script
+   * @param {object} options - See `executeScript`, plus `language` ("AppleScript" | "JavaScript")
+   * @returns {Promise<*>} stdout, the parsed result when `options.parse` is set, or the
+   * captured variables when `options.capture` is
+   * Hands the script to the backend and turns a non-zero exit into an `OsascriptError`
+   * that names the step it came from.
+   */
+  async #run(steps, options) {
+    const capture = options.capture?.length ? options.capture : null;
+    const { argv, statements: readArgs } = options.args ? argvOf(options.args) : { argv: [], statements: null };
+    const parse = capture ? options.parse || true : options.parse;
+    const parseOptions = typeof parse === "object" ? parse : {};
+
+    // with args, everything but the declarations runs inside `on run argv`
+    const before = [
+      ...(options.declarations ?? []),
+      ...(readArgs ? ["on run argv", ...readArgs] : []),
+      ...(options.prologue ?? [])
+    ];
+    const after = [
+      ...(options.epilogue ?? []),
+      ...(capture ? [String(captureEpilogue(capture))] : []),
+      ...(readArgs ? ["end run"] : [])
+    ];
+
+    // join lines exactly as AppleScript expects
+    const script = [...before, ...steps, ...after].join("\n");
+
+    if (this.#closed) {
+      throw new OsascriptClosedError("Osascript runtime error: mainThread is not running");
+    }
+
+    const flags = [
+      ...(options.language === "JavaScript" ? ["-l", "JavaScript"] : []),
+      ...(parse ? ["-s", "s"] : [])
+    ];
+    const run = { id: this.#nextId++, steps: steps.map(step => nameOf(step)) };
+    const secrets = options.secrets ?? [];
+    const started = Date.now();
+    // step by step, so each builder's own masking applies wherever it sits in the script
+    const source = { script, shown: () => this.logger.redactSteps([...before, ...steps, ...after], secrets).join("\n") };
+    if (this.logger.enabled("debug")) {
+      this.logger.debug("Running script", {
+        ...run,
+        language: options.language ?? "AppleScript",
+        script: source.shown(),
+        ...(argv.length && { args: argv.map(value => this.logger.redact(value, secrets)) })
+      });
+    }
+
+    const stderr = this.#stderrReader(options.onLog, { id: run.id, secrets });
+    const cancellation = this.#cancellation(options);
+
+    let response;
+    try {
+      if (cancellation.signal?.aborted) throw cancellation.signal.reason;
+      const file = this.cache && options.cache !== false
+        ? await this.cache.resolve(script, { language: options.language })
+        : null;
+      if (cancellation.signal?.aborted) throw cancellation.signal.reason;
+      response = await this.backend.run({
+        script, flags, args: argv, signal: cancellation.signal, ...(file && { file }),
+        onStderr: (chunk) => stderr.write(chunk)
+      });
+    } catch (err) {
+      this.#logFailure(run, started, err, secrets, source);
+      throw err;
+    } finally {
+      cancellation.dispose();
+    }
+
+    // backends that do not stream hand over all of stderr at the end
+    if (!stderr.received && response.stderr) stderr.write(response.stderr);
+    stderr.end();
+
+    if (response.code !== 0) {
+      const offset = before.length ? before.join("\n").length + 1 : 0;
+      const failure = new SourceMap(steps, offset).annotate(
+        new OsascriptError({ ...response, stderr: stderr.error || response.stderr }),
+        script
+      );
+      this.#logFailure(run, started, failure, secrets, source);
+      // a `dom.runAsync` promise that rejected, at any step
+      const pageError = pageErrorOf(failure);
+      if (pageError) pageError.step = failure.step;
+      throw pageError ?? failure;
+    }
+
+    this.logger.info("Script finished", { ...run, duration: Date.now() - started });
+    if (this.logger.enabled("debug")) {
+      this.logger.debug("Script output", { id: run.id, stdout: this.logger.redactOutput(response.stdout, script, secrets) });
+    }
+
+    if (capture) return collectCaptured(capture, parseResult(response.stdout, parseOptions));
+    // a result from `dom.evaluate` and the queries built on it arrives JSON-encoded
+    return decodePageResult(parse ? parseResult(response.stdout, parseOptions) : response.stdout);
   }
 
 /**
  * Executes one or more AppleScript commands using a persistent subprocess.
  * Uses osascript's stdin instead of -e flags, so quoting issues disappear.
+ * @param {Array<string|Block>|Block} appleCodeArray - AppleScript lines / builder outputs, or a
+ * `Block` (`AppleScript.script(...)`) whose top-level statements become the steps
+ * @param {object} [options]
+ * @param {boolean|{raw?: Function}} [options.parse=false] - Run with `-s s` and resolve to the script's
+ * result as a native JS value (lists → arrays, records → objects, …) instead of raw stdout.
+ * An object is passed to `parseResult` as its options
+ * @param {number} [options.timeout] - Milliseconds before the script is killed and the
+ * call rejects with `OsascriptTimeoutError`
+ * @param {AbortSignal} [options.signal] - Aborting kills the script and rejects with `OsascriptAbortError`
+ * @param {string[]} [options.capture] - Variables to read back once the script has run: resolves
+ * to `{ name: value }` with native JS values instead of the script's result. Variables that cannot
+ * be read reject with `OsascriptCaptureError`, whose `errors` are keyed by name. A top-level
+ * `return` skips the capture and rejects with an `OsascriptCaptureError` saying so.
+ * @param {Array<string|number|boolean|Date|null>} [options.args] - Values passed as `osascript`
+ * argv instead of script text. The script is wrapped in `on run argv`; refer to the values with
+ * `AppleScript.arg(index)`. Numbers, booleans and Dates keep their type. Handlers cannot be
+ * defined in `appleCodeArray` when `args` are given (use `declarations`)
+ * @param {string[]} [options.declarations] - Top-level handler / property definitions placed
+ * first, outside `on run argv` (not counted as steps)
+ * @param {boolean} [options.cache] - `false` skips the compiled-script cache for this call
+ * @param {string[]} [options.prologue] - Statements run before `appleCodeArray` (not counted as steps)
+ * @param {string[]} [options.epilogue] - Statements run after `appleCodeArray` (not counted as steps)
+ * @param {(line: string) => void} [options.onLog] - Called with each line the script writes with
+ * `log`, while it runs. Log output never fails the call; only a non-zero exit does, and its error
+ * report is not passed here. Every instance also emits these lines as `log` events
+ * @param {Array<string|number>} [options.secrets] - Values masked wherever they would appear in
+ * the logger's output (script text, arguments, output, errors)
+ * @returns {Promise<*>} Rejects with an `OsascriptError` whose `step` names the array element
+ * (index and builder, e.g. `browser.openInChrome`) where the script failed. When the last step is
+ * `dom.evaluate` (or a query built on it), resolves to the page's value, or rejects with
+ * `OsascriptPageError` if the page threw. A `dom.runAsync` promise that rejects, at any step,
+ * rejects with `OsascriptPageError` whose `step` names that step
  */
-async executeScript(appleCodeArray) {
-  if (!this.mainThread) {
-    throw new Error("Osascript runtime error: mainThread is not running");
+async executeScript(appleCodeArray, options = {}) {
+  const steps = appleCodeArray instanceof Block ? appleCodeArray.steps() : appleCodeArray;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("executeScript expects a non-empty array of AppleScript lines or a Block");
   }
-  if (!Array.isArray(appleCodeArray) || appleCodeArray.length === 0) {
-    throw new Error("executeScript expects a non-empty array of AppleScript lines");
-  }
-
-  // join lines exactly as AppleScript expects
-  const scriptText = appleCodeArray.join("\n");
 
-  // this version sends the script via standard input, not -e '...'
-  const command = `osascript <<'__APPLESCRIPT__'\n${scriptText}\n__APPLESCRIPT__\n`;
-
-  console.log("[Osascript] Running AppleScript (via stdin)\n", command);
-
-  return new Promise((resolve, reject) => {
-    this.#pending.push({ resolve, reject });
-    this.mainThread.stdin.write(command);
-  });
+  return this.#run(steps.map(String), options);
 }
 
+  /**
+   * Runs a JavaScript function inside `osascript -l JavaScript` (JXA) and resolves
+   * to its return value. The function is serialized, so it cannot use variables
+   * from the surrounding Node code; pass what it needs as arguments.
+   * @example
+   * await script.executeJXA((name) => Application(name).running(), "Music"); // false
+   * await script.executeJXA(script.jxaCommands.finder.getSelectedItems);    // ["/Users/me/a.txt"]
+   * @param {Function} fn - Runs in JXA with `Application`, `Path`, … in scope
+   * @param {...*} args - JSON-serializable arguments for `fn`
+   * @returns {Promise<*>} The JSON-decoded return value (`undefined` becomes `null`)
+   */
+  async executeJXA(fn, ...args) {
+    const script = jxaScript(fn, args);
 
+    const stdout = await this.#run([script], { language: "JavaScript" });
+    return JSON.parse(stdout.trim() || "null");
+  }
+
+  /**
+   * Opens a session whose variables and handlers persist from one call to the next.
+   * @example
+   * const session = script.session();
+   * await session.executeScript(['set greeting to "Hello"']);
+   * await session.executeScript(["greeting & \", world\""]); // "Hello, world"
+   * @returns {Session}
+   */
+  session() {
+    return new Session(this);
+  }
 
   /**
    * Restarts the background AppleScript execution thread.
    * Can be used if the process crashes or is terminated.
    */
   restart() {
-    this.mainThread = spawn("node", [path.join(__dirname, "./workers/index.js")], {
-      stdio: ["pipe", "pipe", "pipe"]
-    });
+    this.backend.restart?.();
+    this.#closed = false;
   }
 
   /**
    * Gracefully shuts down the background process and frees system resources.
    * Always call this when done to avoid leaving zombie processes.
+   * New scripts are refused at once; scripts already running are allowed to finish
+   * unless `force` is set, in which case they reject with `OsascriptClosedError`.
+   * @param {{force?: boolean, timeout?: number}} [options]
+   * @returns {Promise<void>} Resolves once the backend has shut down
    */
-  close() {
-    if (this.mainThread) {
-      this.mainThread.stdin.write("exit\n");
-      this.mainThread.stdin.end();
-      this.mainThread = null;
-    }
+  close(options = {}) {
+    this.#closed = true;
+    return Promise.resolve(this.backend.close(options));
   }
-  /**if you want more customization and more js logic , execute single-command */
-async  executeSingleCommand(scriptCommand){
-    if(!this.mainThread) throw "Error ! main thread is not running"
- let command=`osascript -e '${scriptCommand?.replace(/'/g, "\\'")}'\n`;
-return new Promise((resolve, reject) => {
-  this.#pending.push({ resolve, reject });
-  this.mainThread.stdin.write(command);
-});
+  /**if you want more customization and more js logic , execute single-command
+   * @param {string} scriptCommand
+   * @param {{parse?: boolean, timeout?: number, signal?: AbortSignal}} [options] - same as `executeScript`
+   */
+async  executeSingleCommand(scriptCommand, options = {}){
+    if(this.#closed) throw "Error ! main thread is not running"
+ return this.#run([scriptCommand], options);
 
   }
 }
@@ -0,0 +1,147 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+
+/**
+ * @private
+ * Compiles `script` into `output` with `osacompile`, reading the source from stdin.
+ * @param {string} script
+ * @param {string} output - Path of the `.scpt` file to write
+ * @param {{language?: string}} options
+ * @returns {Promise<void>} Rejects with osacompile's stderr when compilation fails
+ */
+function osacompile(script, output, { language }) {
+  return new Promise((resolve, reject) => {
+    const flags = language && language !== "AppleScript" ? ["-l", language] : [];
+    const child = spawn("osacompile", [...flags, "-o", output], { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+    child.on("error", reject);
+    child.on("close", (code) => (code === 0 ? resolve() : reject(new Error(stderr.trim() || `osacompile exited with code ${code}`))));
+    child.stdin.on("error", () => {}); // surfaced through "error" / "close" instead
+    child.stdin.end(script + "\n");
+  });
+}
+
+/**
+ * @class ScriptCache
+ * @classdesc Opt-in cache of compiled scripts. Each script text is hashed and
+ * compiled once with `osacompile` to `<hash>.scpt` in `dir`; later calls run
+ * the compiled file, skipping the compile step. Changing the text changes the
+ * hash, so stale entries are never used. Once more than `maxEntries` files
+ * exist, the least recently used ones are removed.
+ *
+ * Scripts that differ only in their data should take it through `args` so they
+ * share one entry. A script that fails to compile is not cached and runs from
+ * source, so its error is reported as usual.
+ *
+ * @example
+ * const script = new Osascript({ cache: { dir: "./.scpt-cache", maxEntries: 50 } });
+ * await script.executeScript([AppleScript.focusMode()]); // compiled on first use
+ * await script.executeScript([AppleScript.focusMode()]); // runs the .scpt
+ */
+class ScriptCache {
+  /**
+   * @private
+   * @type {Map<string, Promise<string|null>>}
+   * @description Compilations in progress, by hash
+   */
+  #compiling = new Map();
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Where compiled scripts are kept (default: `apple-js-scripts` in the OS temp dir)
+   * @param {number} [options.maxEntries=200] - Compiled scripts kept before the least recently used are removed
+   * @param {(script: string, output: string, options: {language?: string}) => Promise<void>} [options.compile] -
+   * Compiler; defaults to running `osacompile`
+   */
+  constructor({ dir = path.join(os.tmpdir(), "apple-js-scripts"), maxEntries = 200, compile = osacompile } = {}) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    this.compile = compile;
+  }
+
+  /**
+   * @param {string} script
+   * @param {string} [language="AppleScript"]
+   * @returns {string} Hex SHA-256 of the language and script text
+   */
+  hash(script, language = "AppleScript") {
+    return crypto.createHash("sha256").update(`${language}\n${script}`).digest("hex");
+  }
+
+  /**
+   * Returns the compiled file for `script`, compiling it on first use.
+   * @param {string} script
+   * @param {{language?: string}} [options]
+   * @returns {Promise<string|null>} Path of the `.scpt`, or `null` when it could not be compiled
+   */
+  async resolve(script, { language = "AppleScript" } = {}) {
+    const hash = this.hash(script, language);
+    const file = path.join(this.dir, `${hash}.scpt`);
+
+    try {
+      const now = new Date();
+      await fs.utimes(file, now, now); // marks the entry as recently used
+      return file;
+    } catch {
+      // not compiled yet
+    }
+
+    if (!this.#compiling.has(hash)) {
+      const pending = this.#compileTo(script, file, language).finally(() => this.#compiling.delete(hash));
+      this.#compiling.set(hash, pending);
+    }
+    return this.#compiling.get(hash);
+  }
+
+  /**
+   * @private
+   * Compiles into a temporary name and renames it into place, so a
+   * half-written file is never picked up.
+   */
+  async #compileTo(script, file, language) {
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await this.compile(script, temporary, { language });
+      await fs.rename(temporary, file);
+    } catch {
+      await fs.rm(temporary, { force: true, recursive: true }).catch(() => {});
+      return null;
+    }
+    await this.prune();
+    return file;
+  }
+
+  /**
+   * Removes the least recently used compiled scripts beyond `maxEntries`.
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const names = (await fs.readdir(this.dir).catch(() => [])).filter(name => name.endsWith(".scpt"));
+    if (names.length <= this.maxEntries) return;
+
+    const entries = await Promise.all(names.map(async (name) => {
+      const file = path.join(this.dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      return { file, used: stat ? stat.mtimeMs : 0 };
+    }));
+    entries.sort((a, b) => a.used - b.used);
+    await Promise.all(entries.slice(0, entries.length - this.maxEntries).map(({ file }) => fs.rm(file, { force: true, recursive: true })));
+  }
+
+  /**
+   * Deletes every compiled script in `dir`.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const names = await fs.readdir(this.dir).catch(() => []);
+    await Promise.all(names.filter(name => name.endsWith(".scpt"))
+      .map(name => fs.rm(path.join(this.dir, name), { force: true, recursive: true })));
+  }
+}
+
+module.exports = { ScriptCache };
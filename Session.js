@@ -0,0 +1,231 @@
+const { Block } = require("./apple-script/block.js");
+const { literal, RawCode } = require("./apple-script/literals.js");
+const { CAPTURE_LIST, captureStatements, isCaptureList, collectCaptured } = require("./apple-script/capture.js");
+const { decodePageResult } = require("./apple-script/dom.js");
+const { OsascriptClosedError } = require("./errors");
+
+/** Variable that holds the script's own result while the session state is read. */
+const RESULT = "__osascriptResult";
+
+/** Event handlers AppleScript calls by itself; they are never carried over. */
+const EVENT_HANDLERS = new Set(["run", "open", "idle", "quit", "reopen", "error"]);
+
+/** `on name(` / `to name(` at the start of a line. */
+const HANDLER_START = /^(?:on|to) +([A-Za-z_]\w*|\|[^|]+\|) *\(/;
+
+/** `set name to` anywhere in a line (string literals are blanked out first). */
+const ASSIGNMENT = /\bset +([A-Za-z_]\w*|\|[^|]+\|) +to\b/g;
+
+/**
+ * @private
+ * Finds the top-level handler definitions and the variables assigned in a script.
+ * @param {string} script
+ * @returns {{handlers: Map<string, string>, variables: Set<string>}}
+ */
+function scan(script) {
+  const handlers = new Map();
+  const variables = new Set();
+  const lines = script.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const start = HANDLER_START.exec(lines[i]);
+    if (start && !EVENT_HANDLERS.has(start[1].toLowerCase())) {
+      const end = new RegExp(`^end(?: +${start[1].replace(/[|]/g, "\\|")})?\\s*$`);
+      let j = i + 1;
+      while (j < lines.length && !end.test(lines[j])) j++;
+      handlers.set(start[1], lines.slice(i, j + 1).join("\n"));
+      i = j;
+      continue;
+    }
+
+    const code = lines[i].replace(/"(?:\\.|[^"\\])*"/g, '""').replace(/--.*$/, "");
+    for (const [, name] of code.matchAll(ASSIGNMENT)) {
+      if (!name.startsWith("__osascript")) variables.add(name);
+    }
+  }
+  return { handlers, variables };
+}
+
+/**
+ * @private
+ * Whether a captured value can be written back as AppleScript source.
+ * Script objects and handlers print as `«script»` / `«handler …»`, which cannot.
+ */
+function replayable(value) {
+  if (value instanceof RawCode) return !/^«(?:script|handler)\b/.test(value.source);
+  if (Array.isArray(value)) return value.every(replayable);
+  if (value && typeof value === "object" && !(value instanceof Date)) return Object.values(value).every(replayable);
+  return true;
+}
+
+/**
+ * @private
+ * Turns the raw fragments kept for replay back into their source text, as `parseResult` returns them.
+ */
+function plain(value) {
+  if (value instanceof RawCode) return value.source;
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, plain(item)]));
+  }
+  return value;
+}
+
+/**
+ * @class Session
+ * @classdesc A script context that lasts across `executeScript` calls: variables
+ * assigned with `set name to …` and handlers defined with `on name(…)` in one
+ * call are available in the next.
+ *
+ * Every `osascript` run starts from an empty context, so the session carries
+ * the state itself. After each call it reads back the variables (in source form,
+ * so object specifiers like `window 1 of application "Safari"` survive) and
+ * remembers the handler definitions; the next call starts with a prologue that
+ * restores both. Script objects cannot be carried over, and a call that fails
+ * leaves the state as it was before that call. A top-level `return` would skip
+ * reading the state, so such a call is rejected, with the state left as it was.
+ *
+ * Calls run one at a time, in order. Results are native JS values, as with `parse: true`.
+ *
+ * @example
+ * const session = osascript.session();
+ * await session.executeScript([
+ *   "set counter to 1",
+ *   AppleScript.handler("double", ["x"], (body) => body.return("x * 2"))
+ * ]);
+ * await session.executeScript(["set counter to double(counter)", "counter"]); // 2
+ * await session.dispose();
+ */
+class Session {
+  /**
+   * @private
+   * @type {import('./Osascript').Osascript}
+   */
+  #osascript;
+
+  /**
+   * @private
+   * @type {Map<string, string>}
+   * @description Handler name → definition source
+   */
+  #handlers = new Map();
+
+  /**
+   * @private
+   * @type {Map<string, *>}
+   * @description Variable name → last value (object specifiers as `RawCode`)
+   */
+  #variables = new Map();
+
+  /**
+   * @private
+   * @type {Promise<void>}
+   * @description Settles when the last queued call has finished
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * @private
+   * @type {boolean}
+   */
+  #disposed = false;
+
+  /**
+   * @param {import('./Osascript').Osascript} osascript - Executor the session's scripts run on
+   */
+  constructor(osascript) {
+    this.#osascript = osascript;
+  }
+
+  /** @returns {Record<string, *>} The variables the session currently holds */
+  get variables() {
+    return Object.fromEntries([...this.#variables].map(([name, value]) => [name, plain(value)]));
+  }
+
+  /** @returns {string[]} Names of the handlers the session currently holds */
+  get handlers() {
+    return [...this.#handlers.keys()];
+  }
+
+  /**
+   * Runs a script in the session's context.
+   * @param {Array<string|Block>|Block} appleCodeArray - Same as `Osascript#executeScript`
+   * @param {object} [options] - `timeout`, `signal`, `capture`, `args`, `onLog` and `secrets`, as for `Osascript#executeScript`
+   * @returns {Promise<*>} The script's result as a native value, or the captured variables
+   */
+  executeScript(appleCodeArray, options = {}) {
+    if (this.#disposed) return Promise.reject(new OsascriptClosedError("Session was disposed"));
+
+    const run = () => this.#execute(appleCodeArray, options);
+    const result = this.#queue.then(run, run);
+    this.#queue = result.then(() => {}, () => {});
+    return result;
+  }
+
+  /**
+   * @private
+   * Runs one call with the state prologue and the state-reading epilogue, then
+   * stores what the script left behind.
+   */
+  async #execute(appleCodeArray, { capture = [], ...options }) {
+    if (this.#disposed) throw new OsascriptClosedError("Session was disposed");
+
+    const steps = appleCodeArray instanceof Block ? appleCodeArray.steps() : appleCodeArray;
+    const found = scan(Array.isArray(steps) ? steps.map(String).join("\n") : "");
+    const names = [...new Set([...this.#variables.keys(), ...found.variables, ...capture])];
+
+    const declarations = [...this.#handlers].filter(([name]) => !found.handlers.has(name)).map(([, source]) => source);
+    const prologue = [...this.#variables].map(([name, value]) => `set ${name} to ${literal(value)}`);
+    const epilogue = new Block()
+      .try(`set ${RESULT} to {result}`, `set ${RESULT} to {}`)
+      .add(captureStatements(names))
+      .return(`{${RESULT}, ${CAPTURE_LIST}}`);
+
+    const output = await this.#osascript.executeScript(appleCodeArray, {
+      ...options,
+      declarations,
+      prologue,
+      epilogue: epilogue.steps(),
+      parse: { raw: (source) => new RawCode(source) }
+    });
+
+    // a top-level `return` ends the script before the epilogue reads the state
+    const [result, entries] = Array.isArray(output) && output.length === 2 ? output : [];
+    if (!Array.isArray(result) || result.length > 1 || !isCaptureList(entries, names.length)) {
+      throw new Error("Session scripts cannot use a top-level return: the session state could not be read, so it was left as it was. Make the value the last statement instead");
+    }
+
+    if (!this.#disposed) {
+      for (const [name, source] of found.handlers) this.#handlers.set(name, source);
+      names.forEach((name, index) => {
+        const [ok, value] = entries[index] ?? [];
+        if (ok === true && replayable(value)) this.#variables.set(name, value);
+        else this.#variables.delete(name);
+      });
+    }
+
+    if (capture.length) return collectCaptured(capture, capture.map(name => plain(entries[names.indexOf(name)])));
+    return decodePageResult(plain(result[0]));
+  }
+
+  /**
+   * Forgets all variables and handlers. Calls already queued run in the empty context.
+   */
+  reset() {
+    this.#handlers.clear();
+    this.#variables.clear();
+  }
+
+  /**
+   * Ends the session: its state is dropped and new calls reject with
+   * `OsascriptClosedError`. The executor itself stays open.
+   * @returns {Promise<void>} Resolves once the call in progress, if any, has finished
+   */
+  dispose() {
+    this.#disposed = true;
+    this.reset();
+    return this.#queue;
+  }
+}
+
+module.exports = { Session };
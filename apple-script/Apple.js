@@ -1,3 +1,13 @@
+const { quote, raw, code, literal, RawCode } = require("./literals.js");
+const { sh, doShellScript } = require("./shell.js");
+const { recordBuilderNames } = require("./sourcemap.js");
+const { Block } = require("./block.js");
+const { expr } = require("./expression.js");
+const { arg } = require("./args.js");
+const { js, pageScript, inBrowser, queries, waitFor, awaitPromise, waitForNavigation, conditions } = require("./dom.js");
+const { tabTarget, tabCommand } = require("./tabs.js");
+const { browsers } = require("./browsers.js");
+
 
 /**
  * @class AppleScript
@@ -22,14 +32,44 @@
  */
 class AppleScript {
 
+  /** Encodes text as an AppleScript string literal, escaping quotes, backslashes and line breaks */
+  static quote(text) {
+    return quote(text);
+  }
+
+  /** Marks trusted AppleScript so `AppleScript.code` inserts it without quoting */
+  static raw(source) {
+    return raw(source);
+  }
+
+  /** Tagged template that quotes every interpolated string: AppleScript.code`say ${text}` */
+  static code(strings, ...values) {
+    return code(strings, ...values);
+  }
+
+  /**
+   * Condition builders that quote their operands:
+   * `AppleScript.if(AppleScript.expr.eq(AppleScript.expr.var("answer"), "OK"), [...])`
+   */
+  static expr = expr;
+
+  /**
+   * References a value passed with `executeScript(lines, { args })`, e.g.
+   * `AppleScript.display(AppleScript.arg(0))`. The value never enters the script text.
+   * @param {number} index - Position in `args`
+   */
+  static arg(index) {
+    return arg(index);
+  }
+
   /** Equivalent of: display dialog "message" */
   static display(msg) {
-    return `display dialog "${msg}"`;
+    return `display dialog ${quote(msg)}`;
   }
 
   /** Equivalent of: log "message" (for Script Editor console) */
   static log(msg) {
-    return `log "${msg}"`;
+    return `log ${quote(msg)}`;
   }
   /** Gets the button returned from a dialog result variable */
   static buttonReturnOf(varName) {
@@ -41,35 +81,73 @@ class AppleScript {
     return `${property} of ${varName}`;
   }
 
-  /** Variable assignment: set name to "John" */
+  /**
+   * Variable assignment: set name to "John"
+   * @param {string} varName
+   * @param {*} value - Serialized as a literal: strings, numbers, booleans, arrays (lists),
+   * plain objects (records), Dates, `null` (`missing value`) or `raw(...)` code
+   */
   static set(varName, value) {
-    const quoted = typeof value === "string" ? `"${value}"` : value;
-    return `set ${varName} to ${quoted}`;
+    return `set ${varName} to ${literal(value)}`;
   }
 
-  /** If statement: if condition then ... end if */
+  /** If statement: if condition then ... end if (condition: text or an `AppleScript.expr` expression) */
   static if(condition, bodyLines = []) {
-    const body = bodyLines.map(line => `\t${line}`).join("\n");
-    return `if ${condition} then\n${body}\nend if`;
+    return String(new Block().if(condition, bodyLines));
   }
 
   /** If-else block */
   static ifElse(condition, ifLines = [], elseLines = []) {
-    const ifBody = ifLines.map(l => `\t${l}`).join("\n");
-    const elseBody = elseLines.map(l => `\t${l}`).join("\n");
-    return `if ${condition} then\n${ifBody}\nelse\n${elseBody}\nend if`;
+    return String(new Block().if(condition, ifLines, elseLines));
   }
 
   /** Repeat with i from 1 to 5 */
   static repeatWith(varName, from, to, bodyLines = []) {
-    const body = bodyLines.map(line => `\t${line}`).join("\n");
-    return `repeat with ${varName} from ${from} to ${to}\n${body}\nend repeat`;
+    return String(new Block().repeatWith(varName, from, to, bodyLines));
   }
 
-  /** Repeat while condition */
+  /** Repeat while condition (text or an `AppleScript.expr` expression) */
   static repeatWhile(condition, bodyLines = []) {
-    const body = bodyLines.map(line => `\t${line}`).join("\n");
-    return `repeat while ${condition}\n${body}\nend repeat`;
+    return String(new Block().repeatWhile(condition, bodyLines));
+  }
+
+  /**
+   * Starts a composable script: `AppleScript.script(a, b).tell("Finder", [c, d]).return("x")`.
+   * @param {...*} statements - Builder outputs, arrays of them or other blocks
+   * @returns {Block}
+   */
+  static script(...statements) {
+    return new Block(...statements);
+  }
+
+  /** Tell block: tell application "App" ... end tell (target may also be `raw('process "X"')`) */
+  static tell(target, ...statements) {
+    return new Block().tell(target, statements);
+  }
+
+  /** Try block: try ... on error errMsg number errNum ... end try */
+  static try(body, onError, names) {
+    return new Block().try(body, onError, names);
+  }
+
+  /** Handler definition: on name(params) ... end name */
+  static handler(name, params = [], body = []) {
+    return new Block().handler(name, params, body);
+  }
+
+  /** Return statement: return expression */
+  static return(expression) {
+    return expression === undefined ? "return" : `return ${expression}`;
+  }
+
+  /** Considering block: considering case ... end considering */
+  static considering(attributes, body) {
+    return new Block().considering(attributes, body);
+  }
+
+  /** Apple Event timeout block: with timeout of n seconds ... end timeout */
+  static withTimeout(seconds, body) {
+    return new Block().withTimeout(seconds, body);
   }
 
   /** Delay in seconds */
@@ -77,30 +155,39 @@ class AppleScript {
     return `delay ${seconds}`;
   }
 
-  /** Run shell command */
+  /**
+   * Run shell command.
+   * @param {string|string[]} cmd - A full command line, or an argv array whose
+   * elements are each shell-quoted (e.g. `["killall", appName]`)
+   */
   static shell(cmd) {
-    return `do shell script "${cmd.replace(/"/g, '\\"')}"`;
+    return doShellScript(cmd);
+  }
+
+  /** Tagged template that shell-quotes every interpolated value: AppleScript.sh`open ${url}` */
+  static sh(strings, ...values) {
+    return sh(strings, ...values);
   }
 
   /** Activate application */
   static activateApp(appName) {
-    return `tell application "${appName}" to activate`;
+    return `tell application ${quote(appName)} to activate`;
   }
 
   /** Open a file using full POSIX path */
   static openFile(posixPath) {
-    return `open POSIX file "${posixPath}"`;
+    return `open POSIX file ${quote(posixPath)}`;
   }
 
-  /** Comment line */
+  /** Comment line (multi-line text becomes one comment line per line) */
   static comment(text) {
-    return `-- ${text}`;
+    return String(text).split(/\r\n|\r|\n/).map(line => `-- ${line}`).join("\n");
   }
   /** Speak text out loud */
   static speak(text, voice = null) {
-    const safeText = `"${text}"`;
+    const safeText = quote(text);
     if (voice) {
-      return `say ${safeText} using "${voice}"`;
+      return `say ${safeText} using ${quote(voice)}`;
     }
     return `say ${safeText}`;
   }
@@ -127,7 +214,7 @@ end tell`;
 */
   static awaitAppIsFrontmost(appName) {
     return [
-      `repeat until frontmost of application "${appName}" is true`,
+      `repeat until frontmost of application ${quote(appName)} is true`,
       `\tdelay 0.1`,
       `end repeat`
     ].join("\n");
@@ -139,8 +226,9 @@ end tell`;
     ].join("\n");
   }
 
+  /** Groups statements into a `Block` (still spreadable like the array it used to return) */
   static AppleCodeBlock(...statements) {
-    return [...statements]
+    return new Block(...statements);
   }
   /**Disaptches a named event triggering the system-events functionality */
   static dispatchSystemEvent(eventName) {
@@ -169,7 +257,7 @@ end tell`;
       "do-not-disturb-off": `do shell script "defaults -currentHost write com.apple.notificationcenterui doNotDisturb -boolean false && killall NotificationCenter"`
     };
 
-    return map[eventName] || `-- Unknown system event: ${eventName}`;
+    return map[eventName] || AppleScript.comment(`Unknown system event: ${eventName}`);
   }
 
   /**
@@ -187,30 +275,50 @@ end tell`;
         `tell application "Safari"`,
         `\tactivate`,
         `\tif (count of windows) = 0 then`,
-        `\t\tmake new document with properties {URL:"${url}"}`,
+        `\t\tmake new document with properties {URL:${quote(url)}}`,
         `\telse`,
-        `\t\tset URL of front document to "${url}"`,
+        `\t\tset URL of front document to ${quote(url)}`,
         `\tend if`,
         `end tell`
       ].join("\n");
     },
 
     /**
-     * Open a URL in Google Chrome (requires accessibility scripting).
+     * Open a URL in Google Chrome (requires accessibility scripting), or another
+     * browser that uses Chrome's dictionary: Brave, Edge, Chromium, Chrome Canary, Arc.
      * @param {string} url - The URL to open.
+     * @param {string} [browser] - Key or name in the `browsers` registry; Google Chrome
+     * unless the registry's default is one of these
      */
-    openInChrome(url) {
-      return [
-        `tell application "Google Chrome"`,
-        `\tactivate`,
-        `\tif (count of windows) = 0 then`,
-        `\t\tmake new window`,
-        `\tend if`,
-        `\ttell front window`,
-        `\t\tset newTab to make new tab with properties {URL: "${url}"}`,
-        `\tend tell`,
-        `end tell`
-      ].join("\n");
+    openInChrome(url, browser) {
+      const { name, open } = browsers.chromium(browser, "browser.openInChrome");
+      return open(name, url);
+    },
+
+    /**
+     * Open a URL in any registered browser, the way its dictionary allows:
+     * a new tab in Chromium browsers, the front document in Safari, `open location` otherwise.
+     * @example
+     * AppleScript.browser.open("https://example.com", { browser: "brave" })
+     * @param {string} url
+     * @param {{browser?: string}} [options] - Defaults to the `browsers` registry's default
+     * @returns {string} AppleScript code
+     */
+    open(url, { browser } = {}) {
+      const { name, open } = browsers.get(browser);
+      return open(name, url);
+    },
+
+    /**
+     * Open a URL in a new window.
+     * @param {string} url
+     * @param {{browser?: string}} [options] - Defaults to the `browsers` registry's default
+     * @returns {string} AppleScript code
+     * @throws {TypeError} When the browser cannot open windows from a script
+     */
+    newWindow(url, { browser } = {}) {
+      const { name, newWindow } = browsers.require(browser, "newWindow", "browser.newWindow");
+      return newWindow(name, url);
     },
 
     /**
@@ -237,7 +345,7 @@ end tell`;
         return [
           `tell application "Safari"`,
           `\ttell window 1`,
-          `\t\tmake new tab at end of tabs with properties {URL:"${url}"}`,
+          `\t\tmake new tab at end of tabs with properties {URL:${quote(url)}}`,
           `\tend tell`,
           `end tell`
         ].join("\n");
@@ -249,6 +357,39 @@ end tell`;
         `\tend tell`,
         `end tell`
       ].join("\n");
+    },
+
+    /**
+     * Every tab in every window, as `{ windowIndex, windowId, tabIndex, url, title, active }`
+     * records (`executeScript` resolves to the array). Indexes count from 1, front window first.
+     * @example
+     * await osascript.executeScript([AppleScript.browser.listTabs({ browser: "Safari", where: { urlMatches: /github/ } })]);
+     * @param {{browser?: string, where?: import('./tabs.js').TabTarget}} [options] - `where` keeps only matching tabs
+     * @returns {string} AppleScript code
+     */
+    listTabs({ browser, where = null } = {}) {
+      return tabCommand("list", where, browser, "browser.listTabs");
+    },
+
+    /**
+     * Selects the first tab `target` matches, raises its window and activates the
+     * browser; `executeScript` resolves to the tab's record. Fails when nothing matches.
+     * @param {import('./tabs.js').TabTarget} target - e.g. `{ titleMatches: "Inbox" }` or `(tab) => tab.url.endsWith(".pdf")`
+     * @param {{browser?: string}} [options]
+     * @returns {string} AppleScript code
+     */
+    activateTab(target, { browser } = {}) {
+      return tabCommand("activate", target, browser, "browser.activateTab");
+    },
+
+    /**
+     * Closes every tab `target` matches; `executeScript` resolves to their records.
+     * @param {import('./tabs.js').TabTarget} target
+     * @param {{browser?: string}} [options]
+     * @returns {string} AppleScript code
+     */
+    closeTabs(target, { browser } = {}) {
+      return tabCommand("close", target, browser, "browser.closeTabs");
     }
   };
   /**
@@ -260,7 +401,7 @@ end tell`;
      * @param {string} path - POSIX path to the folder.
      */
     openFolder(path) {
-      return `tell application "Finder" to open POSIX file "${path}"`;
+      return `tell application "Finder" to open POSIX file ${quote(path)}`;
     },
 
     /**
@@ -268,7 +409,7 @@ end tell`;
      * @param {string} path - POSIX path to the item.
      */
     revealInFinder(path) {
-      return `tell application "Finder" to reveal POSIX file "${path}"`;
+      return `tell application "Finder" to reveal POSIX file ${quote(path)}`;
     },
 
     /**
@@ -276,7 +417,7 @@ end tell`;
      * @param {string} path - POSIX path to the item.
      */
     moveToTrash(path) {
-      return `tell application "Finder" to delete POSIX file "${path}"`;
+      return `tell application "Finder" to delete POSIX file ${quote(path)}`;
     },
 
     /**
@@ -285,7 +426,7 @@ end tell`;
      * @param {string} name - Name of the new folder.
      */
     createFolder(path, name) {
-      return `tell application "Finder" to make new folder at POSIX file "${path}" with properties {name:"${name}"}`;
+      return `tell application "Finder" to make new folder at POSIX file ${quote(path)} with properties {name:${quote(name)}}`;
     },
 
     /**
@@ -303,7 +444,7 @@ end tell`;
       return [
         `tell application "System Events"`,
         `\ttell every desktop`,
-        `\t\tset picture to "${imagePath}"`,
+        `\t\tset picture to ${quote(imagePath)}`,
         `\tend tell`,
         `end tell`
       ].join("\n");
@@ -462,7 +603,7 @@ end tell`;
 
     /** Opens System Settings at a specific pane */
     openSettingsPane(pane = "General") {
-      return `do shell script "open x-apple.systempreferences:${pane}"`;
+      return doShellScript(["open", ["x-apple.systempreferences:", pane]]);
     },
 
     /** Displays the battery percentage using Notification */
@@ -475,7 +616,7 @@ end tell`;
 
     /** Ejects a specific volume by name */
     ejectVolume(volumeName) {
-      return `do shell script "diskutil eject '/Volumes/${volumeName}'"`;
+      return doShellScript(["diskutil", "eject", ["/Volumes/", volumeName]]);
     },
 
     /** Shows all connected external disks */
@@ -503,7 +644,7 @@ end tell`;
 
     /** Kill a process by name */
     killProcess(processName) {
-      return `do shell script "killall '${processName}'"`;
+      return doShellScript(["killall", processName]);
     },
 
     /** Displays current Wi-Fi network name */
@@ -551,7 +692,7 @@ end tell`;
         `\tend tell`,
         `end tell`,
         `delay 0.5`,
-        `tell application "System Events" to keystroke "${question}"`,
+        `tell application "System Events" to keystroke ${quote(question)}`,
         `tell application "System Events" to keystroke return`
       ].join("\n");
     },
@@ -594,7 +735,7 @@ end tell`;
         `tell application "Safari"`,
         `\tactivate`,
         `\tif (count of windows) = 0 then make new document`,
-        `\tset URL of front document to "${url}"`,
+        `\tset URL of front document to ${quote(url)}`,
         `end tell`,
         `delay 2`,
         `tell application "System Events" to keystroke return`
@@ -610,10 +751,10 @@ end tell`;
         "You’re stronger than your doubts. Believe it.",
         "Consistency beats talent every time."
       ];
-      const quote = quotes[Math.floor(Math.random() * quotes.length)];
+      const line = quotes[Math.floor(Math.random() * quotes.length)];
       return [
-        `display notification "${quote}" with title "💪 Motivation Boost"`,
-        `say "${quote}" using "Samantha"`
+        `display notification ${quote(line)} with title "💪 Motivation Boost"`,
+        `say ${quote(line)} using "Samantha"`
       ].join("\n");
     },
 
@@ -645,8 +786,8 @@ end tell`;
       ];
       const a = affirmations[Math.floor(Math.random() * affirmations.length)];
       return [
-        `display notification "${a}" with title "🌞 Daily Affirmation"`,
-        `say "${a}" using "Samantha"`
+        `display notification ${quote(a)} with title "🌞 Daily Affirmation"`,
+        `say ${quote(a)} using "Samantha"`
       ].join("\n");
     },
 
@@ -659,10 +800,10 @@ end tell`;
         "Naming things is the hardest problem in computer science.",
         "Measure twice, deploy once."
       ];
-      const quote = wisdom[Math.floor(Math.random() * wisdom.length)];
+      const line = wisdom[Math.floor(Math.random() * wisdom.length)];
       return [
-        `display notification "${quote}" with title "💻 Dev Wisdom"`,
-        `say "${quote}" using "Samantha"`
+        `display notification ${quote(line)} with title "💻 Dev Wisdom"`,
+        `say ${quote(line)} using "Samantha"`
       ].join("\n");
     },
 
@@ -685,8 +826,8 @@ end tell`;
       ];
       const joke = jokes[Math.floor(Math.random() * jokes.length)];
       return [
-        `display notification "${joke}" with title "😂 Tech Humor"`,
-        `say "${joke}" using "Samantha"`
+        `display notification ${quote(joke)} with title "😂 Tech Humor"`,
+        `say ${quote(joke)} using "Samantha"`
       ].join("\n");
     },
 
@@ -701,8 +842,8 @@ end tell`;
       ];
       const msg = messages[Math.floor(Math.random() * messages.length)];
       return [
-        `display notification "${msg}" with title "🌻 Friendly Ping"`,
-        `say "${msg}" using "Victoria"`
+        `display notification ${quote(msg)} with title "🌻 Friendly Ping"`,
+        `say ${quote(msg)} using "Victoria"`
       ].join("\n");
     },
 
@@ -729,7 +870,7 @@ end tell`;
       const joined = lines.join(" ");
       return [
         `display notification "Starting mindfulness session" with title "🧘 AI Meditation"`,
-        `say "${joined}" using "Samantha"`
+        `say ${quote(joined)} using "Samantha"`
       ].join("\n");
     },
 
@@ -744,8 +885,8 @@ end tell`;
       ];
       const line = compliments[Math.floor(Math.random() * compliments.length)];
       return [
-        `display notification "${line}" with title "💬 Compliment"`,
-        `say "${line}" using "Zarvox"`
+        `display notification ${quote(line)} with title "💬 Compliment"`,
+        `say ${quote(line)} using "Zarvox"`
       ].join("\n");
     },
 
@@ -780,8 +921,8 @@ end tell`;
       ];
       const p = predictions[Math.floor(Math.random() * predictions.length)];
       return [
-        `display notification "${p}" with title "🔮 Productivity Forecast"`,
-        `say "${p}" using "Samantha"`
+        `display notification ${quote(p)} with title "🔮 Productivity Forecast"`,
+        `say ${quote(p)} using "Samantha"`
       ].join("\n");
     }
 
@@ -809,13 +950,13 @@ end tell`;
       if (artistName) {
         return [
           `tell application "Music"`,
-          `\tplay track "${trackName}" of artist "${artistName}"`,
+          `\tplay track ${quote(trackName)} of artist ${quote(artistName)}`,
           `end tell`
         ].join("\n");
       }
       return [
         `tell application "Music"`,
-        `\tplay track "${trackName}"`,
+        `\tplay track ${quote(trackName)}`,
         `end tell`
       ].join("\n");
     },
@@ -918,13 +1059,7 @@ end tell`;
     typeText(text, delaySeconds = 0.05) {
       const lines = [];
       for (let char of text) {
-        if (char === "\\") {
-          lines.push(`keystroke "\\\\"`);
-        } else if (char === '"') {
-          lines.push(`keystroke "\\""`); // Escape AppleScript quote
-        } else {
-          lines.push(`keystroke "${char}"`);
-        }
+        lines.push(`keystroke ${quote(char)}`);
         if (delaySeconds > 0) lines.push(`delay ${delaySeconds}`);
       }
       return [
@@ -1088,7 +1223,7 @@ end tell`;
      * @param {string} message
      */
     alert(title, subtitle, message) {
-      return `display notification "${message}" with title "${title}" subtitle "${subtitle}"`;
+      return `display notification ${quote(message)} with title ${quote(title)} subtitle ${quote(subtitle)}`;
     },
 
     /**
@@ -1096,7 +1231,7 @@ end tell`;
      * @param {string} message
      */
     banner(message) {
-      return `display notification "${message}"`;
+      return `display notification ${quote(message)}`;
     },
 
     /**
@@ -1106,7 +1241,7 @@ end tell`;
      * @param {string} soundName (e.g., "default", "Glass", "Blow", "Frog")
      */
     alertWithSound(title, message, soundName = "default") {
-      return `display notification "${message}" with title "${title}" sound name "${soundName}"`;
+      return `display notification ${quote(message)} with title ${quote(title)} sound name ${quote(soundName)}`;
     }
   };
 
@@ -1134,7 +1269,7 @@ end tell`;
     bounceDockIcon(appName) {
       return [
         `tell application "System Events"`,
-        `\ttell dock item "${appName}" of dock preferences`,
+        `\ttell dock item ${quote(appName)} of dock preferences`,
         `\t\tlaunch`,
         `\tend tell`,
         `end tell`
@@ -1171,7 +1306,7 @@ end tell`;
  * @returns {string} AppleScript code
  */
   static openInDefaultBrowser(url) {
-    return `do shell script "open '${url}'"`;
+    return doShellScript(["open", url]);
   }
 
   /**
@@ -1180,7 +1315,7 @@ end tell`;
   * @returns {string} AppleScript code that returns the formatted date
   */
   static getCurrentDateTime(format = "+%Y-%m-%d %H:%M:%S") {
-    return `do shell script "date '${format}'"`;
+    return doShellScript(["date", format]);
   }
 
   /**
@@ -1189,8 +1324,7 @@ end tell`;
   * @returns {string} AppleScript code
   */
   static copyToClipboard(text) {
-    const safeText = text.replace(/"/g, '\\"').replace(/'/g, `\\'`);
-    return `do shell script "echo '${safeText}' | pbcopy"`;
+    return doShellScript(sh`printf %s ${text} | pbcopy`);
   }
 
   /**
@@ -1217,7 +1351,7 @@ end tell`;
     };
     const mods = modifiers.map(m => modMap[m] || "").filter(Boolean).join(", ");
     const usingClause = mods ? ` using {${mods}}` : "";
-    return `tell application "System Events" to keystroke "${key}"${usingClause}`;
+    return `tell application "System Events" to keystroke ${quote(key)}${usingClause}`;
   }
 
   /**
@@ -1236,9 +1370,10 @@ end tell`;
   * @returns {string} AppleScript code
   */
   static bigAlert(message, title = "Alert") {
-    const safeMsg = message.replace(/"/g, '\\"');
-    const safeTitle = title.replace(/"/g, '\\"');
-    return `do shell script "osascript -e 'display alert \\"${safeTitle}\\" message \\"${safeMsg}\\"'"`
+    // the alert runs in a separate osascript, where this script's arguments do not exist
+    if ([message, title].some(value => value instanceof RawCode)) throw new TypeError("bigAlert cannot take script arguments; use display instead");
+    const alert = `display alert ${quote(title)} message ${quote(message)}`;
+    return doShellScript(["osascript", "-e", alert]);
   }
 
   /**
@@ -1396,7 +1531,7 @@ end tell`;
       AppleScript.systemControl.toggleMute(false),
       AppleScript.systemControl.toggleDoNotDisturb(false),
       AppleScript.setBrightness(1.0),
-      AppleScript.shell(`osascript -e 'tell application "Music" to play playlist "${playlistName}"'`),
+      `tell application "Music" to play playlist ${quote(playlistName)}`,
       AppleScript.finder.setDesktopWallpaper("/System/Library/Desktop Pictures/Solid Colors/Red.png"),
       AppleScript.notifications.alert("🎉 Party Mode", "Activated", "Crank it up!")
     ].join("\n");
@@ -1416,7 +1551,7 @@ end tell`;
       lines.push(AppleScript.delay(60));
       lines.push(AppleScript.speak("The time is now...", voice));
       lines.push(`set currentTime to ${AppleScript.getCurrentDateTime("+%I:%M %p")}`);
-      lines.push(`say currentTime using "${voice}"`);
+      lines.push(`say currentTime using ${quote(voice)}`);
     }
     lines.push(AppleScript.speak("Time announcer finished.", voice));
     return lines.join("\n");
@@ -1428,31 +1563,31 @@ end tell`;
 static application = {
   /** Launch or bring an app to front */
   open(appName) {
-    return `tell application "${appName}" to activate`;
+    return `tell application ${quote(appName)} to activate`;
   },
 
   /** Quit app gracefully */
   quit(appName) {
-    return `tell application "${appName}" to quit`;
+    return `tell application ${quote(appName)} to quit`;
   },
 
   /** Force quit app immediately */
   forceQuit(appName) {
-    return `do shell script "killall '${appName}'"`;
+    return doShellScript(["killall", appName]);
   },
 
   /** Relaunch app */
   relaunch(appName) {
     return [
-      `do shell script "killall '${appName}'"`,
+      doShellScript(["killall", appName]),
       `delay 1`,
-      `tell application "${appName}" to activate`
+      `tell application ${quote(appName)} to activate`
     ].join("\n");
   },
 
-  /** Check if an app is running */
+  /** Check if an app is running; evaluates to a boolean */
   isRunning(appName) {
-    return `do shell script "pgrep -x '${appName}' > /dev/null && echo true || echo false"`;
+    return `(${doShellScript(sh`pgrep -x ${appName} > /dev/null && echo true || echo false`)}) is "true"`;
   },
 
   /** Get list of running applications */
@@ -1467,24 +1602,24 @@ static application = {
 
   /** Bring all app windows to front */
   bringAllWindowsToFront(appName) {
-    return `tell application "${appName}" to reopen`;
+    return `tell application ${quote(appName)} to reopen`;
   },
 
   /** Hide an app */
   hide(appName) {
-    return `tell application "${appName}" to set visible of every window to false`;
+    return `tell application ${quote(appName)} to set visible of every window to false`;
   },
 
   /** Unhide (show) an app */
   unhide(appName) {
-    return `tell application "${appName}" to set visible of every window to true`;
+    return `tell application ${quote(appName)} to set visible of every window to true`;
   },
 
   /** Minimize all windows of an app */
   minimizeAll(appName) {
     return [
       `tell application "System Events"`,
-      `\ttell process "${appName}"`,
+      `\ttell process ${quote(appName)}`,
       `\t\trepeat with w in windows`,
       `\t\t\tset value of attribute "AXMinimized" of w to true`,
       `\t\tend repeat`,
@@ -1495,14 +1630,14 @@ static application = {
 
   /** Close all app windows */
   closeAllWindows(appName) {
-    return `tell application "${appName}" to close every window`;
+    return `tell application ${quote(appName)} to close every window`;
   },
 
   /** Resize frontmost window of app */
   resizeWindow(appName, width = 800, height = 600) {
     return [
       `tell application "System Events"`,
-      `\ttell process "${appName}"`,
+      `\ttell process ${quote(appName)}`,
       `\t\tset size of front window to {${width}, ${height}}`,
       `\tend tell`,
       `end tell`
@@ -1513,7 +1648,7 @@ static application = {
   moveWindow(appName, x = 100, y = 100) {
     return [
       `tell application "System Events"`,
-      `\ttell process "${appName}"`,
+      `\ttell process ${quote(appName)}`,
       `\t\tset position of front window to {${x}, ${y}}`,
       `\tend tell`,
       `end tell`
@@ -1524,7 +1659,7 @@ static application = {
   toggleFullscreen(appName) {
     return [
       `tell application "System Events"`,
-      `\ttell process "${appName}"`,
+      `\ttell process ${quote(appName)}`,
       `\t\ttell front window to set value of attribute "AXFullScreen" to not (value of attribute "AXFullScreen")`,
       `\tend tell`,
       `end tell`
@@ -1535,7 +1670,7 @@ static application = {
   centerWindow(appName) {
     return [
       `tell application "System Events"`,
-      `\ttell process "${appName}"`,
+      `\ttell process ${quote(appName)}`,
       `\t\tset win to front window`,
       `\t\tset position of win to {200, 100}`,
       `\tend tell`,
@@ -1558,7 +1693,7 @@ static application = {
       return [
         `tell application "Safari"`,
         `\tactivate`,
-        `\tset URL of front document to "${url}"`,
+        `\tset URL of front document to ${quote(url)}`,
         `end tell`
       ].join("\n");
     },
@@ -1566,7 +1701,7 @@ static application = {
     newTab(url) {
       return [
         `tell application "Safari"`,
-        `\tmake new document with properties {URL:"${url}"}`,
+        `\tmake new document with properties {URL:${quote(url)}}`,
         `end tell`
       ].join("\n");
     },
@@ -1584,26 +1719,27 @@ static application = {
     }
   },
 
+  // Each takes an optional browser that uses Chrome's dictionary, e.g. "brave" or "Microsoft Edge"
   chrome: {
     /** Open URL in Chrome */
-    openURL(url) {
+    openURL(url, browser) {
       return [
-        `tell application "Google Chrome"`,
+        `tell application ${quote(browsers.chromium(browser, "application.chrome").name)}`,
         `\tactivate`,
         `\ttell window 1`,
-        `\t\tset newTab to make new tab with properties {URL:"${url}"}`,
+        `\t\tset newTab to make new tab with properties {URL:${quote(url)}}`,
         `\tend tell`,
         `end tell`
       ].join("\n");
     },
     /** Get all tab titles */
-    getTabs() {
-      return `tell application "Google Chrome" to get title of every tab of front window`;
+    getTabs(browser) {
+      return `tell application ${quote(browsers.chromium(browser, "application.chrome").name)} to get title of every tab of front window`;
     },
     /** Close all except first tab */
-    closeOtherTabs() {
+    closeOtherTabs(browser) {
       return [
-        `tell application "Google Chrome"`,
+        `tell application ${quote(browsers.chromium(browser, "application.chrome").name)}`,
         `\ttell window 1`,
         `\t\tclose (every tab whose index is not 1)`,
         `\tend tell`,
@@ -1611,23 +1747,23 @@ static application = {
       ].join("\n");
     },
     /** Reload current tab */
-    reloadFrontTab() {
-      return `tell application "Google Chrome" to reload active tab of front window`;
+    reloadFrontTab(browser) {
+      return `tell application ${quote(browsers.chromium(browser, "application.chrome").name)} to reload active tab of front window`;
     }
   },
 
   finder: {
     /** Open Finder at path */
     open(path) {
-      return `tell application "Finder" to open POSIX file "${path}"`;
+      return `tell application "Finder" to open POSIX file ${quote(path)}`;
     },
     /** Reveal file in Finder */
     reveal(path) {
-      return `tell application "Finder" to reveal POSIX file "${path}"`;
+      return `tell application "Finder" to reveal POSIX file ${quote(path)}`;
     },
     /** Create new folder on Desktop */
     newFolder(name) {
-      return `tell application "Finder" to make new folder at desktop with properties {name:"${name}"}`;
+      return `tell application "Finder" to make new folder at desktop with properties {name:${quote(name)}}`;
     },
     /** Open new Finder window on Desktop */
     showDesktop() {
@@ -1641,7 +1777,7 @@ static application = {
       return [
         `tell application "Terminal"`,
         `\tactivate`,
-        `\tdo script "${cmd.replace(/"/g, '\\"')}" in front window`,
+        `\tdo script ${quote(cmd)} in front window`,
         `end tell`
       ].join("\n");
     },
@@ -1650,7 +1786,7 @@ static application = {
       const base = [
         `tell application "Terminal"`,
         `\ttell window 1 to do script ""`,
-        cmd ? `\tdo script "${cmd}" in selected tab of window 1` : ``,
+        cmd ? `\tdo script ${quote(cmd)} in selected tab of window 1` : ``,
         `end tell`
       ];
       return base.join("\n");
@@ -1666,8 +1802,8 @@ static application = {
     compose(to, subject, body) {
       return [
         `tell application "Mail"`,
-        `\tset newMessage to make new outgoing message with properties {subject:"${subject}", content:"${body}", visible:true}`,
-        `\ttell newMessage to make new to recipient at end of to recipients with properties {address:"${to}"}`,
+        `\tset newMessage to make new outgoing message with properties {subject:${quote(subject)}, content:${quote(body)}, visible:true}`,
+        `\ttell newMessage to make new to recipient at end of to recipients with properties {address:${quote(to)}}`,
         `end tell`
       ].join("\n");
     },
@@ -1686,15 +1822,15 @@ static application = {
     createNote(folder = "Notes", title, content) {
       return [
         `tell application "Notes"`,
-        `\ttell folder "${folder}"`,
-        `\t\tmake new note with properties {name:"${title}", body:"${content}"}`,
+        `\ttell folder ${quote(folder)}`,
+        `\t\tmake new note with properties {name:${quote(title)}, body:${quote(content)}}`,
         `\tend tell`,
         `end tell`
       ].join("\n");
     },
     /** Show a specific note */
     showNote(title) {
-      return `tell application "Notes" to show note "${title}"`;
+      return `tell application "Notes" to show note ${quote(title)}`;
     },
     /** List note names */
     listNotes() {
@@ -1705,84 +1841,210 @@ static application = {
 
 /**
  * DOM namespace — browser webpage control via JavaScript injection.
- * Works in Safari and Google Chrome using `do JavaScript` / `execute ... javascript`.
- * All strings are auto-escaped for osascript and AppleScript safety.
+ * Works in Safari (`do JavaScript`) and in Chrome, Brave, Edge, Chromium, Chrome
+ * Canary and Arc (`execute ... javascript`): the `browser` option names any of them,
+ * and without it the `browsers` registry's default is used (Google Chrome unless changed).
+ * All strings are auto-escaped for osascript and AppleScript safety, and selectors
+ * and values are embedded in the page JavaScript as JSON.
+ *
+ * `evaluate` and the queries built on it (`query`, `queryAll`, `getAttribute`,
+ * `getText`, `exists`, `getTitle`, `getURL`) return the page's value to
+ * `executeScript` as a native JS value, in any of these browsers. Make them the last step.
+ *
+ * The `waitFor…` builders poll the front tab until a condition holds and fail
+ * the script with a timeout error (`APPLE_EVENT_TIMED_OUT`, -1712) otherwise, so
+ * later steps never run against a page that is not ready.
  */
 static dom = {
   /**
-   * Escapes JavaScript for safe embedding into AppleScript.
+   * The `dom` builders, acting on the first tab `target` matches instead of the
+   * frontmost one. The tab is located when the step runs and stays where it is:
+   * it is not selected and its window is not raised. A step fails if no tab matches.
+   * @example
+   * const github = AppleScript.dom.in({ urlMatches: /github\.com/ });
+   * await osascript.executeScript([github.click("button.merge"), github.getTitle()]);
+   * AppleScript.dom.in({ windowIndex: 2, tabIndex: 3 }, { browser: "Safari" }).waitForLoadState();
+   * @param {import('./tabs.js').TabTarget} target
+   * @param {{browser?: string}} [options] - Defaults to the `browsers` registry's default
+   * @returns {typeof AppleScript.dom}
+   */
+  in(target, { browser } = {}) {
+    return Object.create(this, { _tab: { value: tabTarget(target, browser) } });
+  },
+
+  /**
    * @private
+   * Wait options aimed at the targeted tab, if any.
    */
-  _escape(jsCode) {
-    return jsCode
-      .replace(/\\/g, "\\\\")  // escape backslashes first
-      .replace(/"/g, '\\"')    // escape double quotes
-      .replace(/'/g, "\\'")    // escape single quotes (shell-safe)
-      .replace(/\r?\n/g, " "); // flatten newlines
+  _at(options = {}) {
+    return this._tab ? { ...options, browser: this._tab } : options;
   },
 
   /**
    * Run arbitrary JavaScript in the frontmost tab of the given browser.
    * @param {string} jsCode - JavaScript to run
-   * @param {"Safari"|"Google Chrome"} app
+   * @param {string} [app] - Key or name in the `browsers` registry, e.g. "Safari", "brave"; its default if omitted
    */
-  run(jsCode, app = "Google Chrome") {
-    // Escape only what AppleScript actually needs escaped:
-    const safeJS = jsCode
-      .replace(/\\/g, "\\\\")   // backslashes first
-      .replace(/"/g, '\\"')     // escape inner double quotes only
-      .replace(/\r?\n/g, " ");  // flatten newlines inside JS
-  
-    if (app === "Safari") {
-      return [
-        `tell application "Safari"`,
-        `\tdo JavaScript "${safeJS}" in front document`,
-        `end tell`
-      ].join("\n");
-    } else {
-      return [
-        `tell application "Google Chrome"`,
-        `\texecute front window's active tab javascript "${safeJS}"`,
-        `end tell`
-      ].join("\n");
-    }
-  }
-  
-,  
+  run(jsCode, app) {
+    return inBrowser(jsCode, this._tab ?? app);
+  },
+
+  /**
+   * Evaluates a JavaScript expression in the frontmost tab and resolves
+   * `executeScript` to its JSON-decoded value. An exception in the page rejects
+   * with `OsascriptPageError`.
+   * @example
+   * await osascript.executeScript([AppleScript.dom.evaluate("document.links.length", { browser: "Safari" })]); // 42
+   * await osascript.executeScript([AppleScript.dom.evaluate((a, b) => a + b, { args: [1, 2] })]);           // 3
+   * @param {string|Function} expression - A JS expression, or a function (no closures) called with `args`
+   * @param {{browser?: string, args?: Array<*>}} [options]
+   * @returns {string} AppleScript code
+   */
+  evaluate(expression, { browser, args = [] } = {}) {
+    return inBrowser(pageScript(expression, args), this._tab ?? browser);
+  },
+
+  /**
+   * Runs an async function in the frontmost tab and resolves `executeScript` to
+   * its settled value. `do JavaScript` / `execute javascript` return before a
+   * promise settles, so the page stores the outcome under a key unique to this
+   * call on `window` and the script polls for it. A rejection stops the script
+   * there, whichever step it is, and rejects with `OsascriptPageError`, carrying
+   * the page's message and stack.
+   * @example
+   * const status = await osascript.executeScript([
+   *   AppleScript.dom.runAsync(async (url) => (await fetch(url)).status, ["/api/health"])
+   * ]); // 200
+   * @param {string|Function} asyncFn - An async function (no closures) called with `args`, or a promise expression
+   * @param {Array<*>} [args] - JSON-serializable arguments
+   * @param {{browser?: string, timeout?: number, interval?: number}} [options] -
+   * `timeout` (ms, default 30000) fails the script with `APPLE_EVENT_TIMED_OUT` if the promise is still pending.
+   * A navigation in the tab loses the result and ends in that timeout
+   * @returns {string} AppleScript code
+   */
+  runAsync(asyncFn, args = [], options = {}) {
+    return String(awaitPromise(asyncFn, args, this._at(options)));
+  },
+
+  /**
+   * First element matching `selector`, as `{ tagName, id, className, text, value, attributes }`, or `null`.
+   * @param {string} selector
+   * @param {{browser?: string}} [options]
+   */
+  query(selector, options) {
+    return this.evaluate(queries.query(selector), options);
+  },
+
+  /**
+   * Every element matching `selector`, summarised like `query`.
+   * @param {string} selector
+   * @param {{browser?: string}} [options]
+   */
+  queryAll(selector, options) {
+    return this.evaluate(queries.queryAll(selector), options);
+  },
+
+  /**
+   * An attribute of the first element matching `selector`; `null` if either is missing.
+   * @param {string} selector
+   * @param {string} name
+   * @param {{browser?: string}} [options]
+   */
+  getAttribute(selector, name, options) {
+    return this.evaluate(queries.getAttribute(selector, name), options);
+  },
+
+  /**
+   * Whether any element matches `selector`.
+   * @param {string} selector
+   * @param {{browser?: string}} [options]
+   */
+  exists(selector, options) {
+    return this.evaluate(queries.exists(selector), options);
+  },
+
+  /**
+   * Waits until an element matches `selector`.
+   * @example
+   * [AppleScript.dom.waitForSelector("#login", { visible: true, timeout: 5000 }), AppleScript.dom.click("#login")]
+   * @param {string} selector
+   * @param {{visible?: boolean, timeout?: number, interval?: number, browser?: string}} [options] -
+   * `visible` also requires it to take up space and not be hidden; `timeout` (default 10000) and
+   * `interval` (default 100) are in ms
+   * @returns {string} AppleScript code
+   */
+  waitForSelector(selector, { visible = false, ...options } = {}) {
+    return String(waitFor(conditions.selector(selector, visible), this._at(options), `${visible ? "visible " : ""}selector ${js(selector)}`));
+  },
+
+  /**
+   * Waits until a page predicate is truthy. It runs in the page, so it cannot use Node variables; pass them as `args`.
+   * @example
+   * AppleScript.dom.waitForFunction((count) => document.querySelectorAll("li").length >= count, { args: [10] })
+   * @param {string|Function} predicate - A JS expression, or a function (not async) called with `args`
+   * @param {{args?: Array<*>, timeout?: number, interval?: number, browser?: string}} [options]
+   * @returns {string} AppleScript code
+   */
+  waitForFunction(predicate, options = {}) {
+    return String(waitFor(predicate, this._at(options), "function"));
+  },
+
+  /**
+   * Waits until `document.readyState` has reached `state`.
+   * @param {"loading"|"interactive"|"complete"} [state="complete"]
+   * @param {{timeout?: number, interval?: number, browser?: string}} [options]
+   * @returns {string} AppleScript code
+   */
+  waitForLoadState(state = "complete", options = {}) {
+    return String(waitFor(conditions.loadState(state), this._at(options), `load state ${js(state)}`));
+  },
+
+  /**
+   * Waits until the front tab has navigated to a new document and it has loaded.
+   * The current document is marked first, then `trigger` runs: pass the step that
+   * navigates as `trigger`, or the navigation may be over before the wait starts.
+   * @example
+   * AppleScript.dom.waitForNavigation({ trigger: AppleScript.dom.click("a.next") })
+   * @param {{trigger?: string|Block, timeout?: number, interval?: number, browser?: string}} [options]
+   * @returns {string} AppleScript code
+   */
+  waitForNavigation({ trigger, ...options } = {}) {
+    return String(waitForNavigation(trigger, this._at(options)));
+  },
 
   /** Click an element by CSS selector */
   click(selector) {
-    return this.run(`const el=document.querySelector("${selector}"); if(el) el.click();`);
+    return this.run(`const el=document.querySelector(${js(selector)}); if(el) el.click();`);
   },
 
   /** Type text into an input field */
   type(selector, text) {
     return this.run(`
-      const el=document.querySelector("${selector}");
-      if(el){el.value="${text}";el.dispatchEvent(new Event('input',{bubbles:true}));}
+      const el=document.querySelector(${js(selector)});
+      if(el){el.value=${js(text)};el.dispatchEvent(new Event('input',{bubbles:true}));}
     `);
   },
 
   /** Set element innerText or innerHTML */
   setContent(selector, content, html = false) {
     return this.run(`
-      const el=document.querySelector("${selector}");
-      if(el) el.${html ? "innerHTML" : "innerText"}="${content}";
+      const el=document.querySelector(${js(selector)});
+      if(el) el.${html ? "innerHTML" : "innerText"}=${js(content)};
     `);
   },
 
-  /** Get text from an element (Safari supports returning values) */
-  getText(selector) {
-    return [
-      `tell application "Safari"`,
-      `do JavaScript "document.querySelector('${selector}').innerText" in front document`,
-      `end tell`
-    ].join(" ");
+  /**
+   * Rendered text of the first element matching `selector`, or `null`.
+   * @param {string} selector
+   * @param {{browser?: string}} [options]
+   */
+  getText(selector, options) {
+    return this.evaluate(queries.getText(selector), options);
   },
 
   /** Scroll the page by an offset */
   scrollBy(x = 0, y = 500) {
-    return this.run(`window.scrollBy(${x},${y});`);
+    return this.run(`window.scrollBy(${js(x)},${js(y)});`);
   },
 
   /** Scroll to top or bottom of the page */
@@ -1797,7 +2059,7 @@ static dom = {
   /** Fill multiple fields with values */
   fillForm(fields = {}) {
     const lines = Object.entries(fields)
-      .map(([sel, val]) => `if(document.querySelector("${sel}"))document.querySelector("${sel}").value="${val}";`)
+      .map(([sel, val]) => `if(document.querySelector(${js(sel)}))document.querySelector(${js(sel)}).value=${js(val)};`)
       .join(" ");
     return this.run(lines);
   },
@@ -1806,7 +2068,7 @@ static dom = {
   clickButtonByText(text) {
     return this.run(`
       const btns=[...document.querySelectorAll('button,input[type=button],input[type=submit]')];
-      const b=btns.find(b=>(b.innerText||b.value||'').toLowerCase().includes("${text.toLowerCase()}"));
+      const b=btns.find(b=>(b.innerText||b.value||'').toLowerCase().includes(${js(text.toLowerCase())}));
       if(b) b.click();
     `);
   },
@@ -1814,7 +2076,7 @@ static dom = {
   /** Highlight an element visually */
   highlight(selector) {
     return this.run(`
-      const el=document.querySelector("${selector}");
+      const el=document.querySelector(${js(selector)});
       if(el){el.style.outline='3px solid magenta';el.scrollIntoView({behavior:'smooth',block:'center'});}
     `);
   },
@@ -1822,14 +2084,14 @@ static dom = {
   /** Simulate typing into the active element */
   simulateTyping(text, delaySeconds = 0.05) {
     return this.run(`
-      let i=0;const t="${text}";
+      let i=0;const t=${js(text)};
       const interval=setInterval(()=>{
         const el=document.activeElement;
         if(!el)return;
         el.value+=t[i];
         i++;
         if(i>=t.length)clearInterval(interval);
-      },${delaySeconds * 1000});
+      },${js(delaySeconds)}*1000);
     `);
   },
 
@@ -1837,7 +2099,7 @@ static dom = {
   injectScript(url) {
     return this.run(`
       const s=document.createElement('script');
-      s.src="${url}";
+      s.src=${js(url)};
       document.head.appendChild(s);
     `);
   },
@@ -1846,37 +2108,35 @@ static dom = {
   injectCSS(css) {
     return this.run(`
       const st=document.createElement('style');
-      st.innerText="${css}";
+      st.innerText=${js(css)};
       document.head.appendChild(st);
     `);
   },
 
   /** Show alert in page context */
   alert(message) {
-    return this.run(`alert("${message}");`);
+    return this.run(`alert(${js(message)});`);
   },
 
   /** Log to browser console */
   log(message) {
-    return this.run(`console.log("${message}");`);
+    return this.run(`console.log(${js(message)});`);
   },
 
-  /** Get page title (Safari only) */
-  getTitle() {
-    return [
-      `tell application "Safari"`,
-      `do JavaScript "document.title" in front document`,
-      `end tell`
-    ].join(" ");
+  /**
+   * Title of the page in the frontmost tab.
+   * @param {{browser?: string}} [options]
+   */
+  getTitle(options) {
+    return this.evaluate("document.title", options);
   },
 
-  /** Get current page URL (Safari only) */
-  getURL() {
-    return [
-      `tell application "Safari"`,
-      `do JavaScript "window.location.href" in front document`,
-      `end tell`
-    ].join(" ");
+  /**
+   * URL of the page in the frontmost tab.
+   * @param {{browser?: string}} [options]
+   */
+  getURL(options) {
+    return this.evaluate("window.location.href", options);
   }
 };
 
@@ -1890,4 +2150,7 @@ static dom = {
 
 }
 
+// record "namespace.method" for every builder so script errors can name the failing step
+recordBuilderNames(AppleScript);
+
 module.exports = { AppleScript }
\ No newline at end of file
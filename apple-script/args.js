@@ -0,0 +1,83 @@
+/**
+ * Script arguments (`executeScript(lines, { args })`).
+ *
+ * Argument values travel as `osascript` argv, never as script text: the script
+ * is wrapped in `on run argv`, whose first statements copy each item into a
+ * variable of the right type. Builders refer to those variables with
+ * {@link arg}, so the same script text serves every set of values.
+ *
+ * @example
+ * await osascript.executeScript(
+ *   [AppleScript.display(AppleScript.arg(0)), AppleScript.delay(AppleScript.arg(1))],
+ *   { args: ['He said "hi"', 1.5] }
+ * );
+ * // on run argv
+ * // set __arg0 to item 1 of argv
+ * // set __arg1 to run script (item 2 of argv)
+ * // display dialog __arg0
+ * // delay __arg1
+ * // end run
+ */
+const { isoDateTime } = require("./literals.js");
+const { Expression } = require("./expression.js");
+
+/** Variables holding the arguments are named `__arg0`, `__arg1`, … */
+const PREFIX = "__arg";
+
+/** AppleScript integers are 30-bit; anything larger must become a real. */
+const MAX_INTEGER = 2 ** 29 - 1;
+
+/**
+ * References the argument at `index` inside a script run with `args`.
+ * Builders accept it wherever they take text or a value for AppleScript; shell
+ * builders quote it with `quoted form of` when the script runs. Page JavaScript
+ * (`dom`) cannot see script variables, so those builders reject it.
+ * @param {number} index - Position in the `args` array
+ * @returns {Expression}
+ */
+function arg(index) {
+  if (!Number.isInteger(index) || index < 0) throw new TypeError(`Invalid argument index: ${index}`);
+  return new Expression(`${PREFIX}${index}`);
+}
+
+/**
+ * Turns `args` into osascript argv plus the statements that read them back with their types:
+ * strings as text, numbers as integer / real, booleans, Dates (via ISO 8601) and
+ * `null` / `undefined` as `missing value`.
+ * @param {Array<string|number|boolean|Date|null|undefined>} args
+ * @returns {{argv: string[], statements: string[]}}
+ */
+function argvOf(args) {
+  const argv = [];
+  const statements = [];
+
+  args.forEach((value, index) => {
+    const item = `item ${index + 1} of argv`;
+    let read;
+    if (typeof value === "string") {
+      argv.push(value);
+      read = item;
+    } else if (typeof value === "boolean") {
+      argv.push(String(value));
+      read = `(${item}) is "true"`;
+    } else if (typeof value === "number") {
+      if (!Number.isFinite(value)) throw new TypeError(`Cannot pass ${value} as a script argument`);
+      argv.push(String(value));
+      // `as real` would read the decimal separator from the user's locale; compiling the number does not
+      read = Number.isInteger(value) && Math.abs(value) <= MAX_INTEGER ? `(${item}) as integer` : `run script (${item})`;
+    } else if (value instanceof Date) {
+      argv.push(isoDateTime(value));
+      read = `(${item}) as «class isot» as date`;
+    } else if (value === null || value === undefined) {
+      argv.push("");
+      read = "missing value";
+    } else {
+      throw new TypeError(`Script arguments must be strings, numbers, booleans, Dates or null (got ${typeof value} at ${index})`);
+    }
+    statements.push(`set ${PREFIX}${index} to ${read}`);
+  });
+
+  return { argv, statements };
+}
+
+module.exports = { arg, argvOf };
@@ -0,0 +1,244 @@
+/**
+ * Composable AppleScript blocks.
+ *
+ * A {@link Block} is an ordered list of statements — builder strings, arrays of
+ * them, or other blocks — with chainable methods for the compound statements
+ * (`tell`, `if`, `repeat`, `try … on error`, handlers, `considering`,
+ * `with timeout`). Nesting and indentation are handled when the block is
+ * rendered, so builder output can be dropped in as-is.
+ *
+ * @example
+ * const script = new Block()
+ *   .tell("Finder", (finder) => finder
+ *     .add(AppleScript.finder.openFolder("~/Desktop"))
+ *     .try(["delete file \"old.txt\" of desktop"], (onError) => onError.add(AppleScript.log("nothing to delete"))))
+ *   .return("true");
+ *
+ * await osascript.executeScript(script);
+ */
+const { quote, RawCode } = require("./literals.js");
+
+/** One level of nesting. Same as the tabs the string builders use. */
+const INDENT = "\t";
+
+/**
+ * Indents every non-empty line of `text` by one level.
+ * @param {string} text
+ * @returns {string}
+ */
+function indent(text) {
+  return String(text).split("\n").map(line => line ? INDENT + line : line).join("\n");
+}
+
+/**
+ * A block body: statements, a `Block`, or a function that fills the new
+ * block it is given (anything it returns is added too).
+ * @typedef {string|Block|Array<*>|((block: Block, ...rest: *) => *)} Body
+ */
+
+/**
+ * @class Block
+ * @classdesc An ordered, nestable list of AppleScript statements. Every
+ * method returns the block itself, so calls chain. `executeScript` accepts a
+ * block directly and treats each top-level statement as one step.
+ */
+class Block {
+  /**
+   * @private
+   * @type {Array<string|Block>}
+   */
+  #statements = [];
+
+  /**
+   * @param {...*} statements - Initial statements (see `add`)
+   */
+  constructor(...statements) {
+    this.add(...statements);
+  }
+
+  /**
+   * Builds a block from a `Body`.
+   * @param {Body} [body]
+   * @param {...*} rest - Extra arguments for a function body
+   * @returns {Block}
+   */
+  static from(body, ...rest) {
+    if (body instanceof Block) return body;
+    if (typeof body === "function") {
+      const block = new Block();
+      const result = body(block, ...rest);
+      if (result !== undefined && result !== block) block.add(result);
+      return block;
+    }
+    return new Block(body);
+  }
+
+  /**
+   * Appends statements. Arrays are flattened; `null`, `undefined` and `false`
+   * are skipped so statements can be added conditionally (`dryRun || step`).
+   * @param {...(string|Block|Array<*>|null|undefined|false)} statements
+   * @returns {this}
+   */
+  add(...statements) {
+    for (const statement of statements) {
+      if (statement === null || statement === undefined || statement === false) continue;
+      if (Array.isArray(statement)) this.add(...statement);
+      else if (statement instanceof Block) this.#statements.push(statement);
+      else this.#statements.push(String(statement));
+    }
+    return this;
+  }
+
+  /**
+   * @private
+   * Appends `opening`, the indented body and `closing` as one statement.
+   */
+  #section(opening, body, closing) {
+    const inner = String(body);
+    this.#statements.push([opening, ...(inner ? [indent(inner)] : []), closing].join("\n"));
+    return this;
+  }
+
+  /**
+   * `tell application "App" … end tell`
+   * @param {string|RawCode} target - Application name, or a raw target such as `raw('process "Safari"')`
+   * @param {Body} body
+   * @returns {this}
+   */
+  tell(target, body) {
+    const object = target instanceof RawCode ? target.source : `application ${quote(target)}`;
+    return this.#section(`tell ${object}`, Block.from(body), "end tell");
+  }
+
+  /**
+   * `if … then … [else …] end if`
+   * @param {string|Expression} condition - AppleScript condition, e.g. built with `expr`
+   * @param {Body} thenBody
+   * @param {Body} [elseBody]
+   * @returns {this}
+   */
+  if(condition, thenBody, elseBody) {
+    if (elseBody === undefined) return this.#section(`if ${condition} then`, Block.from(thenBody), "end if");
+    const elseText = String(Block.from(elseBody));
+    return this.#section(
+      `if ${condition} then`,
+      Block.from(thenBody),
+      ["else", ...(elseText ? [indent(elseText)] : []), "end if"].join("\n")
+    );
+  }
+
+  /**
+   * `repeat with name from a to b … end repeat`
+   * @param {string} varName
+   * @param {number|string} from
+   * @param {number|string} to
+   * @param {Body} body
+   * @returns {this}
+   */
+  repeatWith(varName, from, to, body) {
+    return this.#section(`repeat with ${varName} from ${from} to ${to}`, Block.from(body), "end repeat");
+  }
+
+  /**
+   * `repeat while … end repeat`
+   * @param {string|Expression} condition - AppleScript condition, e.g. built with `expr`
+   * @param {Body} body
+   * @returns {this}
+   */
+  repeatWhile(condition, body) {
+    return this.#section(`repeat while ${condition}`, Block.from(body), "end repeat");
+  }
+
+  /**
+   * `try … on error message number number … end try`. Without `onError` the
+   * error is swallowed.
+   * @param {Body} body
+   * @param {Body} [onError] - A function body also receives `{ message, number }` (the variable names)
+   * @param {{message?: string, number?: string}} [names] - Variables bound in `on error`
+   * (default `errMsg` / `errNum`)
+   * @returns {this}
+   */
+  try(body, onError, { message = "errMsg", number = "errNum" } = {}) {
+    if (onError === undefined) return this.#section("try", Block.from(body), "end try");
+    const handlerText = String(Block.from(onError, { message, number }));
+    return this.#section(
+      "try",
+      Block.from(body),
+      [`on error ${message} number ${number}`, ...(handlerText ? [indent(handlerText)] : []), "end try"].join("\n")
+    );
+  }
+
+  /**
+   * Handler definition: `on name(a, b) … end name`
+   * @param {string} name
+   * @param {string[]} params - Parameter names
+   * @param {Body} body
+   * @returns {this}
+   */
+  handler(name, params, body) {
+    return this.#section(`on ${name}(${params.join(", ")})`, Block.from(body), `end ${name}`);
+  }
+
+  /**
+   * `return` statement
+   * @param {string} [expression] - AppleScript expression; omit for a bare `return`
+   * @returns {this}
+   */
+  return(expression) {
+    return this.add(expression === undefined ? "return" : `return ${expression}`);
+  }
+
+  /**
+   * `considering case, … end considering`
+   * @param {string|string[]} attributes - e.g. `"case"`, `["case", "white space"]`
+   * @param {Body} body
+   * @returns {this}
+   */
+  considering(attributes, body) {
+    return this.#section(`considering ${[].concat(attributes).join(", ")}`, Block.from(body), "end considering");
+  }
+
+  /**
+   * `ignoring case, … end ignoring`
+   * @param {string|string[]} attributes
+   * @param {Body} body
+   * @returns {this}
+   */
+  ignoring(attributes, body) {
+    return this.#section(`ignoring ${[].concat(attributes).join(", ")}`, Block.from(body), "end ignoring");
+  }
+
+  /**
+   * `with timeout of n seconds … end timeout` — how long to wait for each Apple Event
+   * @param {number} seconds
+   * @param {Body} body
+   * @returns {this}
+   */
+  withTimeout(seconds, body) {
+    return this.#section(`with timeout of ${seconds} seconds`, Block.from(body), "end timeout");
+  }
+
+  /** @returns {number} Number of top-level statements */
+  get length() {
+    return this.#statements.length;
+  }
+
+  /**
+   * @returns {string[]} Each top-level statement rendered, as `executeScript` steps
+   */
+  steps() {
+    return this.#statements.map(String);
+  }
+
+  /** @returns {string} The rendered script */
+  toString() {
+    return this.steps().join("\n");
+  }
+
+  /** Iterates the top-level statements, so a block can be spread into an array. */
+  *[Symbol.iterator]() {
+    yield* this.#statements;
+  }
+}
+
+module.exports = { Block, indent };
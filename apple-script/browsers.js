@@ -0,0 +1,329 @@
+/**
+ * Browser adapters for the `browser`, `dom` and `application.chrome` builders.
+ *
+ * Brave, Edge, Chromium and Chrome Canary speak Google Chrome's scripting
+ * dictionary under their own application names, Arc speaks a variant of it,
+ * Safari has its own and Firefox can only be told to open URLs. An adapter records
+ * the application name, bundle identifier, dictionary and what it can do, so a
+ * builder asks the registry for `"brave"` (or `"Brave Browser"`) and gets the
+ * right `tell` target and commands — or a TypeError naming the missing
+ * capability instead of a script that fails in the browser.
+ *
+ * A builder without a `browser` option uses the registry's default: Google
+ * Chrome, or whatever `setDefault` chose. Following the system's default
+ * browser is opt-in, with `setDefault("default")`, so builders never ask macOS
+ * unless told to. A name that is not registered is an error; other Chrome
+ * derivatives are one `register` call away.
+ *
+ * @example
+ * const { browsers } = require("apple-js-stable");
+ * browsers.setDefault("default");                  // follow the system setting
+ * AppleScript.dom.click("button.save");            // in Brave, if that is the default browser
+ * AppleScript.dom.getTitle({ browser: "edge" });   // tell application "Microsoft Edge" …
+ */
+const { execFileSync } = require("child_process");
+const { quote } = require("./literals.js");
+
+/** Capabilities an adapter can declare, with how a missing one reads in errors. */
+const CAPABILITIES = {
+  javascript: "running page JavaScript",
+  tabs: "listing and targeting tabs",
+  newWindow: "opening new windows"
+};
+
+/**
+ * AppleScript for each scripting dictionary: the front tab, running page
+ * JavaScript in a tab, and opening a URL.
+ */
+const DICTIONARIES = {
+  safari: {
+    capabilities: { javascript: true, tabs: true, newWindow: true },
+    frontTab: "front document",
+    javascript: (tab, source) => `do JavaScript ${quote(source)} in ${tab}`,
+    open: (app, url) => [
+      `tell application ${quote(app)}`,
+      `\tactivate`,
+      `\tif (count of windows) = 0 then`,
+      `\t\tmake new document with properties {URL:${quote(url)}}`,
+      `\telse`,
+      `\t\tset URL of front document to ${quote(url)}`,
+      `\tend if`,
+      `end tell`
+    ].join("\n"),
+    newWindow: (app, url) => [
+      `tell application ${quote(app)}`,
+      `\tactivate`,
+      `\tmake new document with properties {URL:${quote(url)}}`,
+      `end tell`
+    ].join("\n")
+  },
+
+  chromium: {
+    capabilities: { javascript: true, tabs: true, newWindow: true },
+    frontTab: "front window's active tab",
+    javascript: (tab, source) => `execute ${tab} javascript ${quote(source)}`,
+    open: (app, url) => [
+      `tell application ${quote(app)}`,
+      `\tactivate`,
+      `\tif (count of windows) = 0 then`,
+      `\t\tmake new window`,
+      `\tend if`,
+      `\ttell front window`,
+      `\t\tset newTab to make new tab with properties {URL: ${quote(url)}}`,
+      `\tend tell`,
+      `end tell`
+    ].join("\n"),
+    newWindow: (app, url) => [
+      `tell application ${quote(app)}`,
+      `\tactivate`,
+      `\tmake new window`,
+      `\tset URL of active tab of front window to ${quote(url)}`,
+      `end tell`
+    ].join("\n")
+  },
+
+  // only opening URLs, through the standard `open location`
+  generic: {
+    capabilities: { javascript: false, tabs: false, newWindow: false },
+    frontTab: null,
+    javascript: null,
+    open: (app, url) => [
+      `tell application ${quote(app)}`,
+      `\tactivate`,
+      `\topen location ${quote(url)}`,
+      `end tell`
+    ].join("\n"),
+    newWindow: null
+  }
+};
+
+// Arc's commands are Chrome's; its tabs are selected differently (see tabs.js)
+DICTIONARIES.arc = DICTIONARIES.chromium;
+
+/** Dictionaries that take Chrome's commands, as `application.chrome` uses them. */
+const CHROME_LIKE = new Set(["chromium", "arc"]);
+
+/** The adapters every registry starts with. */
+const BUILT_IN = {
+  safari: { name: "Safari", bundleId: "com.apple.Safari", dictionary: "safari" },
+  chrome: { name: "Google Chrome", bundleId: "com.google.Chrome", dictionary: "chromium" },
+  chromeCanary: { name: "Google Chrome Canary", bundleId: "com.google.Chrome.canary", dictionary: "chromium" },
+  chromium: { name: "Chromium", bundleId: "org.chromium.Chromium", dictionary: "chromium" },
+  brave: { name: "Brave Browser", bundleId: "com.brave.Browser", dictionary: "chromium" },
+  edge: { name: "Microsoft Edge", bundleId: "com.microsoft.edgemac", dictionary: "chromium" },
+  arc: { name: "Arc", bundleId: "company.thebrowser.Browser", dictionary: "arc" },
+  firefox: { name: "Firefox", bundleId: "org.mozilla.firefox", dictionary: "generic" }
+};
+
+/** JXA that prints the bundle identifier of the application that opens https URLs. */
+const DETECT_DEFAULT = [
+  `ObjC.import("AppKit");`,
+  `const app = $.NSWorkspace.sharedWorkspace.URLForApplicationToOpenURL($.NSURL.URLWithString("https://example.com"));`,
+  `app.isNil() ? "" : ObjC.unwrap($.NSBundle.bundleWithURL(app).bundleIdentifier);`
+].join("\n");
+
+/**
+ * @private
+ * Bundle identifier of the system's default browser, or `null` where it cannot be asked.
+ */
+function defaultBundleId() {
+  if (process.platform !== "darwin") return null;
+  try {
+    return execFileSync("osascript", ["-l", "JavaScript", "-e", DETECT_DEFAULT], { encoding: "utf8", timeout: 5000 }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @private
+ * A frozen adapter: the dictionary's commands plus what `spec` says about the browser.
+ * `spec.capabilities` can only take away what the dictionary allows.
+ */
+function makeAdapter(key, { name, bundleId = null, dictionary = "chromium", capabilities = {} }) {
+  if (!name) throw new TypeError(`Browser ${key} needs an application name`);
+  const commands = DICTIONARIES[dictionary];
+  if (!commands) throw new TypeError(`Unknown browser dictionary: ${dictionary} (expected ${Object.keys(DICTIONARIES).join(", ")})`);
+
+  const allowed = {};
+  for (const capability of Object.keys(CAPABILITIES)) {
+    allowed[capability] = commands.capabilities[capability] && capabilities[capability] !== false;
+  }
+  return Object.freeze({ ...commands, key, name, bundleId, dictionary, capabilities: Object.freeze(allowed) });
+}
+
+/**
+ * @typedef {object} BrowserAdapter
+ * @property {string} key - Registry key, e.g. `"brave"`
+ * @property {string} name - Application name to `tell`, e.g. `"Brave Browser"`
+ * @property {string|null} bundleId
+ * @property {"safari"|"chromium"|"arc"|"generic"} dictionary
+ * @property {{javascript: boolean, tabs: boolean, newWindow: boolean}} capabilities
+ * @property {string|null} frontTab - AppleScript reference to the front tab
+ * @property {((tab: string, source: string) => string)|null} javascript - The command that runs `source` in `tab`
+ * @property {(app: string, url: string) => string} open - Opens `url` in a tab
+ * @property {((app: string, url: string) => string)|null} newWindow - Opens `url` in a new window
+ */
+
+/**
+ * @class BrowserRegistry
+ * @classdesc Browser adapters by key, application name or bundle identifier.
+ * Unknown names throw rather than guess at a dictionary, so a typo cannot
+ * skip the capability checks; `register` adds any other browser.
+ */
+class BrowserRegistry {
+  /**
+   * @private
+   * @type {Map<string, BrowserAdapter>}
+   */
+  #adapters = new Map();
+
+  /**
+   * @private
+   * Key, name or `"default"` used when a builder is given no browser.
+   */
+  #default = "chrome";
+
+  /**
+   * @private
+   * The detected default browser: `undefined` until asked, `null` if unknown.
+   */
+  #detected = undefined;
+
+  /**
+   * @private
+   * @type {() => (string|null)}
+   */
+  #detect;
+
+  /**
+   * @param {object} [options]
+   * @param {() => (string|null)} [options.detect] - Returns the default browser's bundle identifier
+   */
+  constructor({ detect = defaultBundleId } = {}) {
+    this.#detect = detect;
+    for (const [key, adapter] of Object.entries(BUILT_IN)) this.register(key, adapter);
+  }
+
+  /**
+   * Adds or replaces an adapter.
+   * @example
+   * browsers.register("vivaldi", { name: "Vivaldi", bundleId: "com.vivaldi.Vivaldi" });
+   * @param {string} key
+   * @param {{name: string, bundleId?: string, dictionary?: "safari"|"chromium"|"arc"|"generic",
+   *   capabilities?: {javascript?: boolean, tabs?: boolean, newWindow?: boolean}}} adapter -
+   * `capabilities` narrow what the dictionary allows
+   * @returns {BrowserAdapter}
+   */
+  register(key, adapter) {
+    const registered = makeAdapter(key, adapter);
+    this.#adapters.set(key, registered);
+    this.#detected = undefined;
+    return registered;
+  }
+
+  /**
+   * The adapter for a key, application name or bundle identifier (any case);
+   * `"default"` is the system's default browser, and no browser the registry's default.
+   * @param {string|BrowserAdapter} [browser]
+   * @returns {BrowserAdapter}
+   * @throws {TypeError} When the browser is not registered
+   */
+  get(browser = this.#default) {
+    if (typeof browser === "object" && browser !== null) return browser;
+    if (browser === "default") return this.detectDefault() ?? this.#adapters.get("chrome");
+
+    const adapter = this.find(browser);
+    if (!adapter) {
+      throw new TypeError(`Unknown browser: ${browser} (expected ${[...this.#adapters.keys()].join(", ")}, ` +
+        `or add it with browsers.register(key, { name, bundleId, dictionary }))`);
+    }
+    return adapter;
+  }
+
+  /**
+   * The adapter for `browser`, which must support `capability`.
+   * @param {string|BrowserAdapter|undefined} browser
+   * @param {"javascript"|"tabs"|"newWindow"} capability
+   * @param {string} caller - Named in the error
+   * @returns {BrowserAdapter}
+   * @throws {TypeError} When the browser lacks the capability
+   */
+  require(browser, capability, caller) {
+    const adapter = this.get(browser);
+    if (!adapter.capabilities[capability]) throw new TypeError(`${caller}: ${adapter.name} does not support ${CAPABILITIES[capability]}`);
+    return adapter;
+  }
+
+  /**
+   * The adapter for a browser that speaks Chrome's dictionary. Without
+   * `browser`, the registry's default if it does, otherwise Google Chrome.
+   * @param {string|BrowserAdapter|undefined} browser
+   * @param {string} caller - Named in the error
+   * @returns {BrowserAdapter}
+   * @throws {TypeError} When the named browser speaks another dictionary
+   */
+  chromium(browser, caller) {
+    const adapter = this.get(browser);
+    if (CHROME_LIKE.has(adapter.dictionary)) return adapter;
+    if (browser === undefined) return this.get("chrome");
+    throw new TypeError(`${caller}: ${adapter.name} does not use Chrome's scripting dictionary`);
+  }
+
+  /**
+   * Whether `browser` supports `capability`.
+   * @param {string|BrowserAdapter|undefined} browser
+   * @param {"javascript"|"tabs"|"newWindow"} capability
+   * @returns {boolean}
+   */
+  supports(browser, capability) {
+    return Boolean(this.get(browser).capabilities[capability]);
+  }
+
+  /**
+   * Sets the browser builders use when given none; Google Chrome until then.
+   * `"default"` follows the system's default browser, detected once.
+   * @param {string} browser - Key, name, bundle identifier or `"default"`
+   * @throws {TypeError} When the browser is not registered
+   */
+  setDefault(browser) {
+    this.get(browser);
+    this.#default = browser;
+  }
+
+  /**
+   * The system's default browser, asked once (macOS only). `null` when it
+   * cannot be determined or is not registered.
+   * @returns {BrowserAdapter|null}
+   */
+  detectDefault() {
+    if (this.#detected === undefined) {
+      const bundleId = this.#detect();
+      this.#detected = bundleId ? this.find(bundleId) : null;
+    }
+    return this.#detected;
+  }
+
+  /**
+   * A registered adapter, without the Chromium fallback of `get`.
+   * @param {string} browser - Key, name or bundle identifier
+   * @returns {BrowserAdapter|null}
+   */
+  find(browser) {
+    const wanted = String(browser).toLowerCase();
+    for (const adapter of this.#adapters.values()) {
+      if ([adapter.key, adapter.name, adapter.bundleId].some(id => id && id.toLowerCase() === wanted)) return adapter;
+    }
+    return null;
+  }
+
+  /** @returns {BrowserAdapter[]} Every registered adapter */
+  list() {
+    return [...this.#adapters.values()];
+  }
+}
+
+/** The registry the builders use. */
+const browsers = new BrowserRegistry();
+
+module.exports = { BrowserRegistry, browsers, CAPABILITIES };
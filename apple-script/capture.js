@@ -0,0 +1,79 @@
+/**
+ * Reading AppleScript variables back into JS (`executeScript(…, { capture })`).
+ *
+ * {@link captureEpilogue} is appended to the script. It reads each variable
+ * inside its own `try`, so one undefined name does not hide the others, and
+ * returns `{ {true, value}, {false, message, number}, … }` in source form.
+ * {@link collectCaptured} turns that list into `{ name: value }`.
+ */
+const { Block } = require("./block.js");
+const { expr } = require("./expression.js");
+const { ERROR_CODES, OsascriptCaptureError } = require("../errors");
+
+/** Variable the epilogue collects into. */
+const LIST = "__osascriptCapture";
+
+/**
+ * @param {string[]} names - Variables to capture (plain or `|barred|` names)
+ * @returns {Block} Statements that collect every variable's value, or its error, into `CAPTURE_LIST`
+ */
+function captureStatements(names) {
+  const block = new Block(`set ${LIST} to {}`);
+  for (const name of names) {
+    block.try(
+      `set end of ${LIST} to {true, ${expr.var(name)}}`,
+      (onError, { message, number }) => onError.add(`set end of ${LIST} to {false, ${message}, ${number}}`)
+    );
+  }
+  return block;
+}
+
+/**
+ * @param {string[]} names - Variables to capture (plain or `|barred|` names)
+ * @returns {Block} Statements that return every variable's value, or its error
+ */
+function captureEpilogue(names) {
+  return captureStatements(names).return(LIST);
+}
+
+/** Why every variable is missing when the epilogue never ran. */
+const SKIPPED = "Capture skipped by return: the script returned before its variables were read";
+
+/**
+ * Whether `entries` is what {@link captureStatements} collects, `{ {true, …} | {false, …}, … }`
+ * for each name, rather than a value the script returned before reaching them.
+ * @param {*} entries - Parsed script result
+ * @param {number} count - How many names were captured
+ * @returns {boolean}
+ */
+function isCaptureList(entries, count) {
+  return Array.isArray(entries) && entries.length === count &&
+    entries.every(entry => Array.isArray(entry) && typeof entry[0] === "boolean");
+}
+
+/**
+ * @param {string[]} names - The names passed to {@link captureEpilogue}
+ * @param {Array<Array<*>>} entries - The epilogue's parsed result
+ * @returns {Record<string, *>}
+ * @throws {OsascriptCaptureError} When any variable could not be read, or a top-level `return`
+ * skipped the epilogue (then every name has the same error, also the error's message)
+ */
+function collectCaptured(names, entries) {
+  if (!isCaptureList(entries, names.length)) {
+    const skipped = Object.fromEntries(names.map(name => [name, { message: SKIPPED, number: null, code: null }]));
+    throw new OsascriptCaptureError(skipped, {}, SKIPPED);
+  }
+
+  const values = {};
+  const errors = {};
+  names.forEach((name, index) => {
+    const [ok, value, number = null] = entries[index];
+    if (ok === true) values[name] = value;
+    else errors[name] = { message: String(value), number, code: number !== null ? ERROR_CODES[number] ?? null : null };
+  });
+
+  if (Object.keys(errors).length > 0) throw new OsascriptCaptureError(errors, values);
+  return values;
+}
+
+module.exports = { CAPTURE_LIST: LIST, captureStatements, captureEpilogue, isCaptureList, collectCaptured };
@@ -0,0 +1,463 @@
+/**
+ * In-page JavaScript for the `dom` namespace.
+ *
+ * {@link pageScript} wraps an expression (or a function plus JSON arguments) so
+ * the page answers with a single string: a marker followed by the JSON-encoded
+ * `{ value }`, or `{ error: { name, message, stack } }` when it threw. Safari's
+ * `do JavaScript` and Chrome's `execute … javascript` both hand strings back
+ * unchanged, so {@link decodePageResult} can turn the script's result into the
+ * value — or an `OsascriptPageError` — on the Node side, whichever browser ran it.
+ *
+ * Selectors and other values are embedded with {@link js}, so they are always
+ * data in the page, never code.
+ *
+ * {@link waitFor} polls a page condition from an AppleScript loop with a
+ * deadline, for the `dom.waitFor…` builders. {@link awaitPromise} uses the same
+ * loop to collect the settled value of a promise started in the page.
+ *
+ * Everything runs in the front tab of the named browser — the `browsers`
+ * registry's default when none is named — unless it is given a
+ * {@link PageTarget} instead, such as a tab located by `tabs.js`.
+ *
+ * @example
+ * inBrowser(pageScript("document.title"), "Safari");
+ * // tell application "Safari" to do JavaScript "(() => { … })()" in front document
+ * inBrowser(pageScript((sel) => document.querySelectorAll(sel).length, ["a"]));
+ */
+const { quote, RawCode } = require("./literals.js");
+const { functionSource } = require("./jxa.js");
+const { Block } = require("./block.js");
+const { browsers } = require("./browsers.js");
+const { OsascriptPageError } = require("../errors");
+
+/** Prefix of every encoded page result. */
+const PAGE_RESULT = "__apple-js-page__:";
+
+/** How a collected outcome starts when the page's promise rejected. */
+const PAGE_REJECTED = `${PAGE_RESULT}{"error":`;
+
+/** Error number of a script stopped by a rejected page promise; the message is the encoded exception. */
+const PAGE_FAILED = -2700;
+
+/** Prefix of a wait check's answer when the condition threw. */
+const CHECK_FAILED = "error:";
+
+/** Error number of a wait that ran out of time, as for an Apple event that timed out. */
+const WAIT_TIMED_OUT = -1712;
+
+/**
+ * Errors a wait retries, as a tab that cannot answer yet: no such window, tab or
+ * document (-1728), a bad index (-1719), and a browser too busy to reply (-1712).
+ * Anything else — no permission to send Apple events (-1743), JavaScript from
+ * Apple events turned off, a cancelled prompt (-128) — fails the wait at once.
+ */
+const NOT_READY = [-1728, -1719, -1712];
+
+/** `document.readyState` values, in the order a page goes through them. */
+const LOAD_STATES = ["loading", "interactive", "complete"];
+
+/** Window property that marks the current document for `waitForNavigation`. */
+const NAVIGATION_MARK = "__appleJsNavigation";
+
+/** In-page: encodes a value the way {@link decodePageResult} expects. */
+const ENCODE_VALUE = `(value) => ${js(PAGE_RESULT)} + JSON.stringify({ value: value === undefined ? null : value })`;
+
+/** In-page: encodes an exception the way {@link decodePageResult} expects. */
+const ENCODE_ERROR = `(error) => ${js(PAGE_RESULT)} + JSON.stringify({ error: {
+	name: String((error && error.name) || "Error"),
+	message: String(error && error.message !== undefined ? error.message : error),
+	stack: error && error.stack ? String(error.stack) : null
+} })`;
+
+/** In-page: a JSON-friendly summary of an element, or `null`. */
+const DESCRIBE = `(el) => el && ({
+	tagName: el.tagName.toLowerCase(),
+	id: el.id || null,
+	className: typeof el.className === "string" ? el.className : null,
+	text: el.innerText !== undefined ? el.innerText : el.textContent,
+	value: "value" in el ? el.value : null,
+	attributes: Object.fromEntries(Array.from(el.attributes, (attr) => [attr.name, attr.value]))
+})`;
+
+/**
+ * A JS literal for `value`: strings, numbers, arrays and plain objects as JSON.
+ * @param {*} value
+ * @returns {string}
+ * @throws {TypeError} For values JSON cannot carry, and for script arguments
+ * (`AppleScript.arg`) and other AppleScript code, which only exist when the script runs
+ */
+function js(value) {
+  const json = JSON.stringify(value, (key, item) => {
+    if (item instanceof RawCode) throw new TypeError(`Cannot embed the AppleScript value ${item.source} in page JavaScript; pass the value itself`);
+    return item;
+  });
+  if (json === undefined) throw new TypeError(`Cannot embed ${typeof value} in page JavaScript`);
+  return json;
+}
+
+/**
+ * Builds page JavaScript that evaluates `expression` and returns the encoded result.
+ * @param {string|Function} expression - A JS expression, or a function called with `args`
+ * @param {Array<*>} [args] - JSON-serializable arguments for a function
+ * @returns {string}
+ */
+function pageScript(expression, args = []) {
+  return [
+    `(() => {`,
+    `\tconst encodeValue = ${ENCODE_VALUE};`,
+    `\tconst encodeError = ${ENCODE_ERROR};`,
+    `\ttry {`,
+    `\t\treturn encodeValue(\n${pageCall(expression, args, "dom.evaluate")}\n);`,
+    `\t} catch (error) {`,
+    `\t\treturn encodeError(error);`,
+    `\t}`,
+    `})()`
+  ].join("\n");
+}
+
+/**
+ * @private
+ * The page expression for `expression`: itself, or a call of the function with `args`.
+ */
+function pageCall(expression, args, caller, functionOptions) {
+  if (typeof expression === "function") return `(${functionSource(expression, caller, functionOptions)})(...${js(args)})`;
+  if (typeof expression === "string" && expression.trim()) return expression;
+  throw new TypeError(`${caller} expects a JavaScript expression or a function`);
+}
+
+/** Prefix of the window property a `runAsync` promise settles into. */
+const ASYNC_KEY = "__appleJsAsync_";
+
+/**
+ * @private
+ * Page JavaScript called with a window property: takes the outcome stored there, `""` while pending.
+ */
+const COLLECT = [
+  `((key) => {`,
+  `\tconst settled = window[key];`,
+  `\tif (typeof settled !== "string") return "";`,
+  `\tdelete window[key];`,
+  `\treturn settled;`,
+  `})`
+].join("\n");
+
+/**
+ * Builds the page JavaScript that starts `fn(...args)` under a window property
+ * of its own choosing and answers with that property's name; once the promise
+ * settles, the encoded value or exception is stored there. `collect(key)` is
+ * the JavaScript that takes it from there (`""` while it is pending). The key
+ * is picked by the page, so the script text is the same on every run.
+ * @param {string|Function} fn - An async function (or one returning a promise) or a promise expression
+ * @param {Array<*>} args - JSON-serializable arguments
+ * @returns {{start: string, collect: (key: string|RawCode) => (string|RawCode)}} `collect` given
+ * an AppleScript expression for the key answers with an AppleScript expression for the JavaScript
+ */
+function asyncScripts(fn, args) {
+  const start = [
+    `(() => {`,
+    `\tconst encodeValue = ${ENCODE_VALUE};`,
+    `\tconst encodeError = ${ENCODE_ERROR};`,
+    `\tconst key = ${js(ASYNC_KEY)} + Date.now().toString(36) + Math.random().toString(36).slice(2);`,
+    `\twindow[key] = null;`,
+    `\tnew Promise((resolve) => resolve(\n${pageCall(fn, args, "dom.runAsync", { allowAsync: true })}\n)).then(`,
+    `\t\t(value) => {`,
+    `\t\t\ttry {`,
+    `\t\t\t\twindow[key] = encodeValue(value);`,
+    `\t\t\t} catch (error) {`,
+    `\t\t\t\twindow[key] = encodeError(error);`,
+    `\t\t\t}`,
+    `\t\t},`,
+    `\t\t(error) => {`,
+    `\t\t\twindow[key] = encodeError(error);`,
+    `\t\t}`,
+    `\t);`,
+    `\treturn key;`,
+    `})()`
+  ].join("\n");
+
+  // the page's keys are letters, digits and "_", so they can sit between quotes as they are
+  const collect = (key) => key instanceof RawCode
+    ? new RawCode(`(${quote(`${COLLECT}("`)} & ${key.source} & ${quote(`")`)})`)
+    : `${COLLECT}(${js(key)})`;
+
+  return { start, collect };
+}
+
+/**
+ * Builds page JavaScript that answers `"true"` or `"false"` for `condition`, or
+ * `"error:Name: message"` when it throws.
+ * @param {string|Function} condition - A JS expression, or a function called with `args`
+ * @param {Array<*>} [args]
+ * @returns {string}
+ */
+function checkScript(condition, args = []) {
+  return [
+    `(() => {`,
+    `\ttry {`,
+    `\t\treturn (\n${pageCall(condition, args, "dom.waitForFunction")}\n) ? "true" : "false";`,
+    `\t} catch (error) {`,
+    `\t\treturn ${js(CHECK_FAILED)} + String((error && error.name) || "Error") + ": " + String(error && error.message !== undefined ? error.message : error);`,
+    `\t}`,
+    `})()`
+  ].join("\n");
+}
+
+/**
+ * Where page JavaScript runs: a tab reference inside `tell application`,
+ * plus the statement that locates it first, if any.
+ * @typedef {object} PageTarget
+ * @property {import('./browsers.js').BrowserAdapter} adapter - The browser
+ * @property {string} tab - AppleScript reference, e.g. `front document` or `tab __tabIndex of window id __tabWindow`
+ * @property {string|null} resolve - Sets the variables `tab` refers to; run once before the tab is used
+ */
+
+/**
+ * The front tab of `browser`, or `browser` itself when it already is a {@link PageTarget}.
+ * @param {string|PageTarget} [browser] - Key or name in the `browsers` registry; its default if omitted
+ * @returns {PageTarget}
+ * @throws {TypeError} When the browser cannot run page JavaScript
+ */
+function pageTarget(browser) {
+  if (typeof browser === "object" && browser !== null) return browser;
+  const adapter = browsers.require(browser, "javascript", "dom");
+  return { adapter, tab: adapter.frontTab, resolve: null };
+}
+
+/**
+ * @private
+ * The same tab, for statements that run after it has been located.
+ */
+function located(target) {
+  return { ...target, resolve: null };
+}
+
+/**
+ * The browser command that runs page JavaScript in the target tab, without its `tell`.
+ * @param {string|RawCode} source - Page JavaScript, or an AppleScript expression that evaluates to it
+ * @param {string|PageTarget} [browser]
+ * @returns {string}
+ */
+function javascriptCommand(source, browser) {
+  const { adapter, tab } = pageTarget(browser);
+  return adapter.javascript(tab, source);
+}
+
+/**
+ * Runs page JavaScript in the front tab of `browser` — or the tab of a
+ * {@link PageTarget}, located first — and makes its result the script's result,
+ * in the command of the browser's dictionary: `do JavaScript` for Safari,
+ * `execute … javascript` for Chrome and the browsers built on it.
+ * @param {string} source - Page JavaScript
+ * @param {string|PageTarget} [browser] - Defaults to the `browsers` registry's default
+ * @returns {string} AppleScript code
+ */
+function inBrowser(source, browser) {
+  const target = pageTarget(browser);
+  const command = `tell application ${quote(target.adapter.name)} to ${javascriptCommand(source, target)}`;
+  return target.resolve ? `${target.resolve}\n${command}` : command;
+}
+
+/**
+ * Polls `condition` in the target tab until it holds. A tab that cannot answer
+ * yet (no window, page still loading) counts as "not yet"; a condition that
+ * throws fails the script with the page's message (-2700), and running out of
+ * time fails it with `Timed out after … waiting for <description>` (-1712),
+ * naming the last "not yet" error if there was one. Any other error, such as
+ * missing permission to send Apple events, fails the script at once.
+ * @param {string|Function} condition - See {@link checkScript}
+ * @param {object} [options]
+ * @param {string|PageTarget} [options.browser] - Defaults to the `browsers` registry's default
+ * @param {number} [options.timeout=10000] - Milliseconds; the deadline is kept to the second
+ * @param {number} [options.interval=100] - Milliseconds between checks
+ * @param {Array<*>} [options.args] - Arguments for a function `condition`
+ * @param {string} description - What is awaited, for the timeout message
+ * @returns {Block}
+ */
+function waitFor(condition, { browser, timeout = 10000, interval = 100, args = [] } = {}, description) {
+  return poll(checkScript(condition, args), { browser, timeout, interval }, description, new Block()
+    .if(`__waitState is "true"`, "exit repeat")
+    .if(
+      `__waitState starts with ${quote(CHECK_FAILED)}`,
+      `error (text ${CHECK_FAILED.length + 1} thru -1 of __waitState) number -2700`
+    ));
+}
+
+/**
+ * Starts `fn(...args)` in the target tab and polls until its promise settles,
+ * under the key the page answers with (kept in `__asyncKey`). The encoded value
+ * becomes the script's result, for {@link decodePageResult}; a rejection stops the
+ * script with the encoded exception as its error (see {@link pageErrorOf}), wherever
+ * the step sits. Running out of time fails like {@link waitFor}.
+ * @param {string|Function} fn - See {@link asyncScripts}
+ * @param {Array<*>} [args]
+ * @param {{browser?: string|PageTarget, timeout?: number, interval?: number}} [options] - As for {@link waitFor};
+ * `timeout` defaults to 30000
+ * @returns {Block}
+ */
+function awaitPromise(fn, args = [], { browser, timeout = 30000, interval = 100 } = {}) {
+  const { start, collect } = asyncScripts(fn, args);
+  const target = pageTarget(browser);
+  return new Block(target.resolve, `tell application ${quote(target.adapter.name)} to set __asyncKey to (${javascriptCommand(start, target)}) as text`)
+    .add(poll(collect(new RawCode("__asyncKey")), { browser: located(target), timeout, interval }, "the page's promise to settle", new Block()
+      .if(`__waitState starts with ${quote(PAGE_RESULT)}`, "exit repeat")))
+    .if(`__waitState starts with ${quote(PAGE_REJECTED)}`, `error __waitState number ${PAGE_FAILED}`)
+    .add("__waitState"); // the value is the script's result when this is the last step
+}
+
+/**
+ * @private
+ * The polling loop shared by waits: locates the target tab once, then runs
+ * `source` in it until `done` (statements that `exit repeat` on `__waitState`)
+ * stops it, or fails once the deadline has passed. A tab that cannot answer yet
+ * (see {@link NOT_READY}) leaves `__waitState` empty, and its last error is
+ * named in the timeout message; any other error is raised again.
+ */
+function poll(source, { browser, timeout, interval }, description, done) {
+  if (!(timeout > 0) || !(interval > 0)) throw new TypeError("Wait timeout and interval must be positive numbers of milliseconds");
+  const target = pageTarget(browser);
+  const command = javascriptCommand(source, target);
+
+  return new Block(target.resolve, `set __waitDeadline to (current date) + ${Math.ceil(timeout / 1000)}`, `set __waitLastError to ""`)
+    .repeatWhile("true", (loop) => loop
+      .add(`set __waitState to ""`)
+      .try(
+        `tell application ${quote(target.adapter.name)} to set __waitState to (${command}) as text`,
+        (onError) => onError
+          .if(`__waitErrorNumber is not in {${NOT_READY.join(", ")}}`, "error __waitError number __waitErrorNumber")
+          .add(`set __waitLastError to " (last error: " & __waitError & ")"`),
+        { message: "__waitError", number: "__waitErrorNumber" }
+      )
+      .add(done)
+      .if(
+        "(current date) > __waitDeadline",
+        `error ${quote(`Timed out after ${timeout} ms waiting for ${description}`)} & __waitLastError number ${WAIT_TIMED_OUT}`
+      )
+      .add(`delay ${interval / 1000}`));
+}
+
+/**
+ * Marks the document in the target tab, runs `trigger`, then waits until the
+ * marked document has been replaced (see {@link conditions}.navigation) and
+ * the new one has loaded. The tab is located once, before it navigates away
+ * from whatever located it.
+ * @param {string|Block} [trigger] - The step that navigates
+ * @param {{browser?: string|PageTarget, timeout?: number, interval?: number}} [options] - As for {@link waitFor}
+ * @returns {Block}
+ */
+function waitForNavigation(trigger, options = {}) {
+  const target = pageTarget(options.browser);
+  const tab = located(target);
+  return new Block(target.resolve)
+    .try(inBrowser(`window.${NAVIGATION_MARK} = true; "true"`, tab))
+    .add(trigger === undefined ? null : String(trigger))
+    .add(waitFor(conditions.navigation(), { ...options, browser: tab }, "navigation"));
+}
+
+/**
+ * The page exception a script failed with because a promise it awaited with
+ * {@link awaitPromise} rejected, or `null` for any other failure.
+ * @param {import('../errors').OsascriptError} error
+ * @returns {OsascriptPageError|null}
+ */
+function pageErrorOf(error) {
+  if (error?.number !== PAGE_FAILED) return null;
+  const report = String(error.stderr ?? "");
+  const start = report.indexOf(PAGE_REJECTED);
+  if (start === -1) return null;
+  try {
+    decodePageResult(report.slice(start).replace(/ \(-?\d+\)\s*$/, ""));
+  } catch (pageError) {
+    if (pageError instanceof OsascriptPageError) return pageError;
+  }
+  return null;
+}
+
+/**
+ * Decodes a result produced by {@link pageScript}; anything else is returned unchanged.
+ * @param {*} value - The script's stdout or parsed result
+ * @returns {*}
+ * @throws {OsascriptPageError} When the page-side code threw
+ */
+function decodePageResult(value) {
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  if (!text.startsWith(PAGE_RESULT)) return value;
+
+  const decoded = JSON.parse(text.slice(PAGE_RESULT.length));
+  if (decoded.error) throw new OsascriptPageError(decoded.error);
+  return decoded.value;
+}
+
+/**
+ * Page expressions behind the `dom` queries. Every selector and value is embedded with {@link js}.
+ */
+const queries = {
+  /** First match as `{ tagName, id, className, text, value, attributes }`, or `null` */
+  query(selector) {
+    return `(${DESCRIBE})(document.querySelector(${js(selector)}))`;
+  },
+
+  /** Every match, summarised like `query` */
+  queryAll(selector) {
+    return `Array.from(document.querySelectorAll(${js(selector)}), ${DESCRIBE})`;
+  },
+
+  /** An attribute of the first match; `null` when the element or attribute is missing */
+  getAttribute(selector, name) {
+    return `((el) => el && el.getAttribute(${js(name)}))(document.querySelector(${js(selector)}))`;
+  },
+
+  /** Rendered text of the first match, or `null` */
+  getText(selector) {
+    return `((el) => el && (el.innerText !== undefined ? el.innerText : el.textContent))(document.querySelector(${js(selector)}))`;
+  },
+
+  /** Whether anything matches */
+  exists(selector) {
+    return `document.querySelector(${js(selector)}) !== null`;
+  }
+};
+
+/**
+ * Page conditions behind the `dom.waitFor…` builders.
+ */
+const conditions = {
+  /** An element matches; with `visible`, it also takes up space and is not `visibility: hidden` */
+  selector(selector, visible = false) {
+    const shown = visible
+      ? ` && !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length) && getComputedStyle(el).visibility !== "hidden"`
+      : "";
+    return `((el) => !!el${shown})(document.querySelector(${js(selector)}))`;
+  },
+
+  /** The page has reached `state` (`"loading"` < `"interactive"` < `"complete"`) */
+  loadState(state) {
+    const index = LOAD_STATES.indexOf(state);
+    if (index === -1) throw new TypeError(`Unknown load state: ${state} (expected ${LOAD_STATES.join(", ")})`);
+    return `${js(LOAD_STATES)}.indexOf(document.readyState) >= ${index}`;
+  },
+
+  /** The document marked by {@link waitForNavigation} was replaced and the new one has loaded */
+  navigation() {
+    return `!window.${NAVIGATION_MARK} && document.readyState === "complete"`;
+  }
+};
+
+module.exports = {
+  PAGE_RESULT,
+  WAIT_TIMED_OUT,
+  NOT_READY,
+  js,
+  pageScript,
+  checkScript,
+  asyncScripts,
+  pageTarget,
+  inBrowser,
+  waitFor,
+  awaitPromise,
+  waitForNavigation,
+  decodePageResult,
+  pageErrorOf,
+  queries,
+  conditions
+};
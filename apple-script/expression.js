@@ -0,0 +1,160 @@
+/**
+ * Condition expressions for `if`, `repeatWhile` and friends.
+ *
+ * Plain JS values are always literals — strings are quoted, so text from users
+ * can never turn into code. Variables, object specifiers and properties are
+ * named explicitly through {@link expr}. Every function returns an
+ * {@link Expression}, which renders as AppleScript wherever a condition string
+ * was accepted before and is inserted verbatim by `AppleScript.code`.
+ *
+ * @example
+ * const { expr: x } = require("./expression.js");
+ *
+ * AppleScript.if(x.eq(x.prop("button returned", x.var("result")), "OK"), [...]);
+ * // if button returned of result is "OK" then
+ *
+ * AppleScript.repeatWhile(x.not(x.prop("frontmost", x.app(appName))), [AppleScript.delay(0.1)]);
+ * // repeat while not frontmost of application "Music"
+ */
+const { quote, literal, RawCode } = require("./literals.js");
+
+/** Binding strength of each kind of expression; higher binds tighter. */
+const LEVEL = { or: 1, and: 2, not: 3, comparison: 4, atom: 5 };
+
+/** Variable and property names: words separated by single spaces, or `|anything|`. */
+const NAME = /^(?:[A-Za-z_][A-Za-z0-9_]*(?: [A-Za-z_][A-Za-z0-9_]*)*|\|[^|\\]+\|)$/;
+
+/**
+ * @class Expression
+ * @classdesc A piece of AppleScript that evaluates to a value, with enough
+ * precedence information to be nested without stray parentheses.
+ */
+class Expression extends RawCode {
+  /**
+   * @param {string} source
+   * @param {number} [level=LEVEL.atom] - Binding strength (see `LEVEL`)
+   */
+  constructor(source, level = LEVEL.atom) {
+    super(source);
+    this.level = level;
+  }
+}
+
+/**
+ * @private
+ * Checks a variable or property name.
+ */
+function name(text, what) {
+  if (typeof text !== "string" || !NAME.test(text)) {
+    throw new TypeError(`Invalid AppleScript ${what} name: ${JSON.stringify(text)}`);
+  }
+  return text;
+}
+
+/**
+ * @private
+ * Renders an operand, parenthesised when it binds looser than `minLevel`.
+ */
+function operand(value, minLevel) {
+  const node = toExpression(value);
+  return node.level < minLevel ? `(${node.source})` : node.source;
+}
+
+/**
+ * @private
+ * Turns a JS value into an `Expression`. Expressions pass through, raw code is
+ * trusted as a unit and anything else becomes a literal.
+ */
+function toExpression(value) {
+  if (value instanceof Expression) return value;
+  return new Expression(literal(value));
+}
+
+/**
+ * @private
+ * Builds a binary comparison.
+ */
+function compare(operator) {
+  return (left, right) => new Expression(
+    `${operand(left, LEVEL.atom)} ${operator} ${operand(right, LEVEL.atom)}`,
+    LEVEL.comparison
+  );
+}
+
+/**
+ * @private
+ * Builds an n-ary `and` / `or`.
+ */
+function join(operator) {
+  return (...conditions) => {
+    if (conditions.length === 0) throw new TypeError(`${operator} needs at least one condition`);
+    const level = LEVEL[operator];
+    return new Expression(conditions.map(condition => operand(condition, level)).join(` ${operator} `), level);
+  };
+}
+
+/**
+ * Expression builders. Operands that are not expressions are literals (see
+ * `literal`: strings, numbers, lists, records, dates, `null` → `missing value`).
+ */
+const expr = {
+  /** A variable: `expr.var("answer")` → `answer` */
+  var(varName) {
+    return new Expression(name(varName, "variable"));
+  },
+
+  /** An explicit literal: `expr.value('say "hi"')` → `"say \"hi\""` */
+  value(value) {
+    return toExpression(value);
+  },
+
+  /** An application specifier: `expr.app("Music")` → `application "Music"` */
+  app(appName) {
+    return new Expression(`application ${quote(appName)}`);
+  },
+
+  /** Property access: `expr.prop("frontmost", expr.app("Music"))` → `frontmost of application "Music"` */
+  prop(property, object) {
+    return new Expression(`${name(property, "property")} of ${operand(object, LEVEL.atom)}`);
+  },
+
+  /** `a is b` */
+  eq: compare("is"),
+
+  /** `a is not b` */
+  ne: compare("is not"),
+
+  /** `a < b` */
+  lt: compare("<"),
+
+  /** `a > b` */
+  gt: compare(">"),
+
+  /** `a ≤ b`, written `a <= b` */
+  le: compare("<="),
+
+  /** `a ≥ b`, written `a >= b` */
+  ge: compare(">="),
+
+  /** `a contains b` — substring, list item or record property */
+  contains: compare("contains"),
+
+  /** `a starts with b` */
+  startsWith: compare("starts with"),
+
+  /** `a ends with b` */
+  endsWith: compare("ends with"),
+
+  /** `a and b and …` */
+  and: join("and"),
+
+  /** `a or b or …` */
+  or: join("or"),
+
+  /** `not a` */
+  not(condition) {
+    return new Expression(`not ${operand(condition, LEVEL.atom)}`, LEVEL.not);
+  }
+};
+
+module.exports = { Expression, expr };
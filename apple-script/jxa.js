@@ -0,0 +1,131 @@
+/**
+ * JavaScript for Automation (JXA) support.
+ *
+ * `jxaScript` turns a real JS function plus JSON-serializable arguments into a
+ * script for `osascript -l JavaScript` whose output is the JSON-encoded return
+ * value. The function runs inside osascript, not Node: it cannot close over
+ * Node variables — everything it needs must come in through its arguments.
+ *
+ * `JXA` holds ready-made functions for a core subset of the `AppleScript`
+ * namespaces, meant to be passed to `Osascript#executeJXA`.
+ *
+ * @example
+ * await script.executeJXA((name) => Application(name).running(), "Safari"); // true
+ * await script.executeJXA(JXA.finder.getSelectedItems);                     // ["/Users/me/a.txt"]
+ */
+
+/**
+ * Returns the function's source as an expression. Method shorthand
+ * (`name(a) { … }`, as used in `JXA`) is turned into a function expression.
+ * @param {Function} fn
+ * @param {string} [caller="executeJXA"] - Named in error messages
+ * @param {{allowAsync?: boolean}} [options] - Accept async functions (for code that runs where promises settle)
+ * @returns {string}
+ */
+function functionSource(fn, caller = "executeJXA", { allowAsync = false } = {}) {
+  if (typeof fn !== "function") throw new TypeError(`${caller} expects a function`);
+  let source = fn.toString();
+  const isAsync = /^async\b/.test(source);
+  // osascript exits before a promise settles, so there is nothing to await
+  if (isAsync && !allowAsync) throw new TypeError(`${caller} cannot run async functions`);
+  if (isAsync) source = source.replace(/^async\s*/, "");
+  if (/^class\b/.test(source)) throw new TypeError(`${caller} expects a function, not a class`);
+  if (!/^function\b/.test(source) && !/^(?:\([^)]*\)|[\w$]+)\s*=>/.test(source)) source = `function ${source}`;
+  return isAsync ? `async ${source}` : source;
+}
+
+/**
+ * Builds the JXA source that calls `fn(...args)` and prints the JSON result.
+ * @param {Function} fn
+ * @param {Array<*>} args - JSON-serializable arguments
+ * @returns {string}
+ */
+function jxaScript(fn, args = []) {
+  const json = JSON.stringify(args);
+  if (json === undefined) throw new TypeError("executeJXA arguments must be JSON-serializable");
+  return [
+    `(() => {`,
+    `\tconst fn = (${functionSource(fn)});`,
+    `\tconst result = fn(...${json});`,
+    `\treturn JSON.stringify(result === undefined ? null : result);`,
+    `})()`
+  ].join("\n");
+}
+
+/**
+ * JXA equivalents of core `AppleScript` builders. Each is a self-contained
+ * function run by `executeJXA` inside osascript, returning plain JSON data.
+ */
+const JXA = {
+  /** Application control — mirrors `AppleScript.application`. */
+  application: {
+    /** Launch or bring an app to front */
+    open(appName) {
+      Application(appName).activate();
+      return true;
+    },
+
+    /** Quit app gracefully */
+    quit(appName) {
+      Application(appName).quit();
+      return true;
+    },
+
+    /** Check if an app is running */
+    isRunning(appName) {
+      return Application(appName).running();
+    },
+
+    /** Get list of running (foreground) applications */
+    listRunningApps() {
+      return Application("System Events").applicationProcesses.whose({ backgroundOnly: false }).name();
+    },
+
+    /** Get frontmost application name */
+    getFrontApp() {
+      return Application("System Events").applicationProcesses.whose({ frontmost: true })[0].name();
+    },
+
+    /** Close all app windows */
+    closeAllWindows(appName) {
+      Application(appName).windows().forEach(window => window.close());
+      return true;
+    }
+  },
+
+  /** Finder operations — mirrors `AppleScript.finder`. */
+  finder: {
+    /** Opens a folder in Finder */
+    openFolder(path) {
+      Application("Finder").open(Path(path));
+      return true;
+    },
+
+    /** Reveals a file or folder in Finder */
+    revealInFinder(path) {
+      const finder = Application("Finder");
+      finder.reveal(Path(path));
+      finder.activate();
+      return true;
+    },
+
+    /** Moves a file or folder to the trash */
+    moveToTrash(path) {
+      Application("Finder").delete(Path(path));
+      return true;
+    },
+
+    /** Creates a new folder inside a directory and returns its POSIX path */
+    createFolder(path, name) {
+      const folder = Application("Finder").make({ new: "folder", at: Path(path), withProperties: { name } });
+      return decodeURI(folder.url()).replace(/^file:\/\//, "");
+    },
+
+    /** Gets the POSIX paths of the items selected in Finder */
+    getSelectedItems() {
+      return Application("Finder").selection().map(item => decodeURI(item.url()).replace(/^file:\/\//, ""));
+    }
+  }
+};
+
+module.exports = { JXA, jxaScript, functionSource };
@@ -0,0 +1,186 @@
+/**
+ * AppleScript literal encoding.
+ *
+ * Every builder in `Apple.js` that places caller-supplied text inside a script
+ * goes through {@link quote}, so quotes, backslashes and line breaks in that
+ * text can never end the literal early or smuggle in extra statements.
+ *
+ * @example
+ * quote('He said "hi"');                 // "He said \"hi\""
+ * code`display dialog ${title}`;         // display dialog "…escaped title…"
+ * code`set x to ${raw("missing value")}`; // raw fragments are inserted verbatim
+ * literal({ tabs: ["a", "b"], open: true }); // {tabs:{"a", "b"}, open:true}
+ */
+
+/** Characters that have a backslash escape inside an AppleScript string literal. */
+const ESCAPES = new Map([
+  ["\\", "\\\\"],
+  ['"', '\\"'],
+  ["\n", "\\n"],
+  ["\r", "\\r"],
+  ["\t", "\\t"]
+]);
+
+/** Remaining control characters — these have no escape and are spliced in via `character id`. */
+const CONTROL = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/;
+
+/** Unpaired UTF-16 surrogates cannot be written as UTF-8, so they become U+FFFD. */
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/** Record keys written without bars. Anything else, and reserved words, become `|key|`. */
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/** AppleScript reserved words and built-in command names, which cannot be bare record labels. */
+const RESERVED = new Set([
+  "about", "above", "activate", "after", "against", "and", "apart", "around", "as", "aside", "at", "back",
+  "before", "beginning", "behind", "below", "beneath", "beside", "between", "but", "by", "considering",
+  "contain", "contains", "continue", "copy", "count", "div", "does", "eighth", "else", "end", "equal",
+  "equals", "error", "every", "exit", "false", "fifth", "first", "for", "fourth", "from", "front", "get",
+  "given", "global", "if", "ignoring", "in", "instead", "into", "is", "it", "its", "last", "launch",
+  "local", "log", "me", "middle", "mod", "my", "ninth", "not", "of", "on", "onto", "or", "out", "over",
+  "prop", "property", "put", "ref", "reference", "repeat", "return", "returning", "run", "script",
+  "second", "set", "seventh", "since", "sixth", "some", "tell", "tenth", "that", "the", "then", "third",
+  "through", "thru", "timeout", "times", "to", "transaction", "true", "try", "until", "where", "while",
+  "whose", "with", "without"
+]);
+
+/**
+ * @class RawCode
+ * @classdesc Marks a fragment of AppleScript that {@link code} must insert verbatim.
+ */
+class RawCode {
+  /** @param {string} source */
+  constructor(source) {
+    this.source = String(source);
+  }
+
+  toString() {
+    return this.source;
+  }
+}
+
+/**
+ * Encodes any JS value as an AppleScript string literal.
+ * Plain text produces a single `"..."` literal; text containing control
+ * characters produces a parenthesised concatenation with `character id`.
+ * @param {*} value - Text to encode (`null`/`undefined` become an empty string). A {@link raw}
+ * fragment (e.g. a script argument or an expression) is returned as-is
+ * @returns {string} AppleScript expression evaluating to exactly `value`
+ */
+function quote(value) {
+  if (value instanceof RawCode) return value.source;
+  const text = String(value ?? "").replace(LONE_SURROGATE, "\uFFFD");
+  const parts = [];
+  let current = "";
+
+  for (const char of text) {
+    if (ESCAPES.has(char)) {
+      current += ESCAPES.get(char);
+    } else if (CONTROL.test(char)) {
+      parts.push(`"${current}"`, `(character id ${char.codePointAt(0)})`);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  if (parts.length === 0) return `"${current}"`;
+  parts.push(`"${current}"`);
+  return `(${parts.join(" & ")})`;
+}
+
+/**
+ * Wraps trusted AppleScript so {@link code} interpolates it without quoting.
+ * @param {string} source
+ * @returns {RawCode}
+ */
+function raw(source) {
+  return new RawCode(source);
+}
+
+/**
+ * Encodes a record label, using `|bars|` unless it is a plain, non-reserved identifier.
+ * @param {string} key
+ * @returns {string}
+ */
+function label(key) {
+  if (IDENTIFIER.test(key) && !RESERVED.has(key.toLowerCase())) return key;
+  return `|${key.replace(/[\\|]/g, "\\$&")}|`;
+}
+
+/**
+ * Formats a Date's local wall-clock time as ISO 8601 (`2024-01-02T03:04:05`), the
+ * text form AppleScript coerces to a `date` through «class isot» in any locale.
+ * @param {Date} value
+ * @returns {string}
+ */
+function isoDateTime(value) {
+  if (Number.isNaN(value.getTime())) throw new TypeError("Cannot embed an invalid Date in AppleScript");
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}` +
+    `T${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+}
+
+/**
+ * @private
+ * @param {*} value
+ * @returns {boolean} Whether `value` is an object literal / `Object.create(null)` object
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Serializes a JS value as an AppleScript literal:
+ * - strings are quoted, finite numbers and booleans written as-is
+ * - `null` / `undefined` become `missing value`
+ * - arrays become lists `{…}`, plain objects records `{label:…}` (see {@link label};
+ *   properties whose value is `undefined` are left out, as in JSON)
+ * - Dates become a locale-independent `date`
+ * - {@link raw} fragments are kept verbatim
+ *
+ * Nested values are serialized recursively. Used for every value {@link code}
+ * interpolates and by `AppleScript.set`.
+ * @param {*} value
+ * @param {Set<object>} [seen] - Containers already being serialized (cycle check)
+ * @returns {string}
+ */
+function literal(value, seen = new Set()) {
+  if (value instanceof RawCode) return value.source;
+  if (value === null || value === undefined) return "missing value";
+  if (typeof value === "string") return quote(value);
+  if (typeof value === "boolean") return String(value);
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) throw new TypeError(`Cannot embed ${value} in AppleScript`);
+    return String(value);
+  }
+  if (value instanceof Date) return `(${quote(isoDateTime(value))} as «class isot» as date)`;
+
+  if (Array.isArray(value) || isPlainObject(value)) {
+    if (seen.has(value)) throw new TypeError("Cannot embed a circular structure in AppleScript");
+    seen.add(value);
+    const items = Array.isArray(value)
+      ? value.map(item => literal(item, seen))
+      : Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => `${label(key)}:${literal(item, seen)}`);
+    seen.delete(value);
+    return `{${items.join(", ")}}`;
+  }
+
+  throw new TypeError(`Cannot embed a value of type ${value?.constructor?.name ?? typeof value} in AppleScript`);
+}
+
+/**
+ * Tagged template for AppleScript source: interpolated values are serialized
+ * with {@link literal} (strings quoted, arrays as lists, …) and {@link raw}
+ * fragments are kept as-is.
+ * @returns {string}
+ */
+function code(strings, ...values) {
+  return strings.reduce((out, chunk, i) => out + literal(values[i - 1]) + chunk);
+}
+
+module.exports = { quote, raw, code, literal, label, isoDateTime, RawCode };
@@ -0,0 +1,190 @@
+/**
+ * Parser for AppleScript results printed in source form (`osascript -s s`).
+ *
+ * Converts the printed value back into JS:
+ * - lists `{1, 2}` → arrays, records `{name:"x", |odd key|:1}` → plain objects
+ * - strings → strings (escapes decoded), integers and reals → numbers
+ * - `true` / `false` → booleans, `missing value` / `null` → `null`
+ * - `date "…"` → `Date` (or the date text when this locale's format can't be read)
+ * - anything else (`application "Finder"`, `alias "Mac:…"`, object specifiers)
+ *   → its source text, unchanged
+ *
+ * @example
+ * parseResult('{"a, b", 2, {ok:true}}'); // ["a, b", 2, { ok: true }]
+ */
+
+const NUMBER = /^-?(?:\d+\.?\d*|\.\d+)(?:E[+-]?\d+)?/i;
+const STRING_ESCAPES = { n: "\n", r: "\r", t: "\t", '"': '"', "\\": "\\" };
+
+/**
+ * @class AppleScriptParseError
+ * @classdesc Thrown when `-s s` output is not a well-formed AppleScript value.
+ */
+class AppleScriptParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} source - The text being parsed
+   * @param {number} offset - Character offset where parsing failed
+   */
+  constructor(message, source, offset) {
+    super(`${message} at offset ${offset}`);
+    this.name = "AppleScriptParseError";
+    this.source = source;
+    this.offset = offset;
+  }
+}
+
+/**
+ * Parses a complete `osascript -s s` result.
+ * @param {string} text - stdout of the script (a trailing newline is ignored)
+ * @param {object} [options]
+ * @param {(source: string) => *} [options.raw] - Converts values that have no JS equivalent
+ * (object specifiers, aliases, …); by default their source text is returned as-is
+ * @returns {*} The JS value, or `undefined` when the script returned nothing
+ */
+function parseResult(text, { raw: convertRaw = (source) => source } = {}) {
+  const source = String(text).replace(/\r?\n$/, "");
+  if (!source.trim()) return undefined;
+
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new AppleScriptParseError(message, source, pos);
+  };
+
+  const skipSpace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+
+  const readString = () => {
+    let value = "";
+    pos++; // opening quote
+    while (source[pos] !== '"') {
+      if (pos >= source.length) fail("Unterminated string");
+      if (source[pos] === "\\") {
+        pos++;
+        value += STRING_ESCAPES[source[pos]] ?? source[pos];
+      } else {
+        value += source[pos];
+      }
+      pos++;
+    }
+    pos++; // closing quote
+    return value;
+  };
+
+  /** Skips over a `"…"`, `|…|` or `«…»` token without decoding it. */
+  const skipDelimited = (close) => {
+    pos++;
+    while (pos < source.length && source[pos] !== close) {
+      if (close !== "»" && source[pos] === "\\") pos++;
+      pos++;
+    }
+    if (pos >= source.length) fail(`Missing ${close}`);
+    pos++;
+  };
+
+  /** Reads any other value as raw source text, up to the next top-level `,` or `}`. */
+  const readRaw = () => {
+    const start = pos;
+    let depth = 0;
+    while (pos < source.length) {
+      const char = source[pos];
+      if (char === '"') skipDelimited('"');
+      else if (char === "|") skipDelimited("|");
+      else if (char === "«") skipDelimited("»");
+      else if (char === "{") { depth++; pos++; }
+      else if (char === "}" && depth > 0) { depth--; pos++; }
+      else if ((char === "," || char === "}") && depth === 0) break;
+      else pos++;
+    }
+    return source.slice(start, pos).trim();
+  };
+
+  const readDate = (raw) => {
+    const text = raw.replace(/^date\s+/, "");
+    const label = text.startsWith('"') ? parseResult(text) : text;
+    const date = new Date(label.replace(/\s+at\s+/, " "));
+    return Number.isNaN(date.getTime()) ? label : date;
+  };
+
+  /**
+   * Looks ahead for a record key (`name:` or `|any text|:`).
+   * @returns {string|null} The key, with `pos` moved past the colon
+   */
+  const readKey = () => {
+    const rest = source.slice(pos);
+    const piped = /^\|((?:\\.|[^|\\])*)\|\s*:/.exec(rest);
+    const plain = /^([A-Za-z_][\w ]*?)\s*:/.exec(rest);
+    const match = piped || plain;
+    if (!match) return null;
+    pos += match[0].length;
+    return piped ? match[1].replace(/\\(.)/g, "$1") : match[1];
+  };
+
+  const readBraces = () => {
+    pos++; // {
+    skipSpace();
+    if (source[pos] === "}") {
+      pos++;
+      return [];
+    }
+
+    const start = pos;
+    const isRecord = readKey() !== null;
+    pos = start;
+
+    const list = [];
+    const record = {};
+    for (;;) {
+      skipSpace();
+      if (isRecord) {
+        const key = readKey();
+        if (key === null) fail("Expected record key");
+        record[key] = readValue();
+      } else {
+        list.push(readValue());
+      }
+      skipSpace();
+      if (source[pos] === ",") {
+        pos++;
+        continue;
+      }
+      if (source[pos] === "}") {
+        pos++;
+        return isRecord ? record : list;
+      }
+      fail("Expected , or }");
+    }
+  };
+
+  const readValue = () => {
+    skipSpace();
+    const char = source[pos];
+    if (char === undefined) fail("Unexpected end of result");
+    if (char === "{") return readBraces();
+    if (char === '"') return readString();
+
+    const rest = source.slice(pos);
+    const number = NUMBER.exec(rest);
+    if (number && !/^[\w.]/.test(rest.slice(number[0].length))) {
+      pos += number[0].length;
+      return Number(number[0]);
+    }
+
+    const raw = readRaw();
+    if (raw === "true") return true;
+    if (raw === "false") return false;
+    if (raw === "missing value" || raw === "null") return null;
+    if (/^date\s+"/.test(raw)) return readDate(raw);
+    if (!raw) fail("Expected a value");
+    return convertRaw(raw);
+  };
+
+  const value = readValue();
+  skipSpace();
+  if (pos < source.length) fail("Unexpected trailing text");
+  return value;
+}
+
+module.exports = { parseResult, AppleScriptParseError };
@@ -0,0 +1,100 @@
+/**
+ * Shell command building for `do shell script`.
+ *
+ * A `do shell script` argument crosses two parsers: AppleScript reads the
+ * string literal, then `/bin/sh` splits the command line. Arguments are
+ * POSIX single-quoted here and the finished command is encoded with
+ * {@link quote}, so a `'`, `$`, backtick or `"` in a value is always data.
+ *
+ * A script argument (`AppleScript.arg`) or other raw AppleScript value is only
+ * known when the script runs, so a command that contains one is built as an
+ * AppleScript concatenation that quotes it with `quoted form of` instead.
+ *
+ * @example
+ * doShellScript(["killall", name]);              // do shell script "killall 'My App'"
+ * doShellScript(sh`pgrep -x ${name} > /dev/null`);
+ * doShellScript(["killall", arg(0)]);            // do shell script ("killall " & quoted form of (__arg0 as text))
+ */
+const { quote, RawCode } = require("./literals.js");
+
+/** Arguments made only of these characters are safe without quotes. */
+const SAFE_ARG = /^[A-Za-z0-9_@%+=:,./-]+$/;
+
+/**
+ * Quotes a single argument for a POSIX shell.
+ * @param {string|number} arg
+ * @returns {string}
+ * @throws {TypeError} For a raw AppleScript value, which has no text yet; use {@link shellCommand} or {@link sh}
+ */
+function shellQuote(arg) {
+  if (arg instanceof RawCode) throw new TypeError(`shellQuote cannot quote the AppleScript value ${arg.source}; use shellCommand or sh`);
+  const text = String(arg);
+  if (SAFE_ARG.test(text)) return text;
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * @private
+ * One shell word as segments: quoted shell text, or raw values quoted at run time.
+ * An array is a word put together from pieces, e.g. `["/Volumes/", name]`.
+ */
+function wordSegments(word) {
+  const pieces = Array.isArray(word) ? word : [word];
+  if (!pieces.some(piece => piece instanceof RawCode)) return [shellQuote(pieces.join(""))];
+  return pieces.map(piece => (piece instanceof RawCode ? piece : shellQuote(piece)));
+}
+
+/**
+ * @private
+ * The command line as text, or — when it holds raw values — as an AppleScript
+ * expression that concatenates the text with each value's `quoted form`.
+ */
+function render(segments) {
+  const parts = [];
+  for (const segment of segments) {
+    if (segment === "") continue;
+    if (typeof segment === "string" && typeof parts[parts.length - 1] === "string") parts[parts.length - 1] += segment;
+    else parts.push(segment);
+  }
+  if (parts.every(part => typeof part === "string")) return parts.join("");
+  return new RawCode(`(${parts.map(part => (typeof part === "string" ? quote(part) : `quoted form of (${part.source} as text)`)).join(" & ")})`);
+}
+
+/**
+ * Joins an argv array into a command line, quoting every element.
+ * @param {Array<string|number|RawCode|Array<string|number|RawCode>>} argv - An array element is
+ * one argument made of several pieces
+ * @returns {string|RawCode} Text, or an AppleScript expression when `argv` holds raw values
+ */
+function shellCommand(argv) {
+  return render(argv.flatMap((word, i) => (i === 0 ? wordSegments(word) : [" ", ...wordSegments(word)])));
+}
+
+/**
+ * Tagged template for shell command lines: the literal parts are kept as
+ * written (pipes, redirects, `&&`) and every interpolated value is quoted.
+ * Arrays expand to several quoted arguments.
+ * @returns {string|RawCode} Text, or an AppleScript expression when a value is raw
+ */
+function sh(strings, ...values) {
+  const segments = [strings[0]];
+  values.forEach((value, i) => {
+    const words = Array.isArray(value) ? value : [value];
+    words.forEach((word, j) => segments.push(...(j === 0 ? [] : [" "]), ...wordSegments(word)));
+    segments.push(strings[i + 1]);
+  });
+  return render(segments);
+}
+
+/**
+ * Builds a `do shell script` statement.
+ * @param {string|RawCode|Array<*>} command - A command line (or AppleScript expression
+ * from {@link sh}), or an argv array to quote as {@link shellCommand} does
+ * @returns {string} AppleScript code
+ */
+function doShellScript(command) {
+  const line = Array.isArray(command) ? shellCommand(command) : command;
+  return `do shell script ${quote(line)}`;
+}
+
+module.exports = { shellQuote, shellCommand, sh, doShellScript };
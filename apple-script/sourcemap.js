@@ -0,0 +1,143 @@
+/**
+ * Maps positions in a generated script back to the builder calls that produced it.
+ *
+ * Builders return plain strings (or blocks), so their names are remembered in a bounded
+ * registry keyed by the generated text ({@link recordBuilderNames} wraps every
+ * `AppleScript` method to fill it). `executeScript` then builds a
+ * {@link SourceMap} over its array and uses it to point an `OsascriptError`'s
+ * character range at the failing step.
+ */
+const { Block } = require("./block.js");
+
+/** How many generated fragments to remember. Oldest entries are dropped first. */
+const REGISTRY_LIMIT = 1000;
+
+/** Utilities whose output is a piece of a statement (or a whole script), not a step. */
+const UNNAMED = new Set(["quote", "raw", "code", "sh", "script", "AppleCodeBlock", "expr", "arg"]);
+
+/** @type {Map<string, string>} generated text → "namespace.method" */
+const registry = new Map();
+
+/**
+ * Remembers which builder produced `text`.
+ * @param {string} text
+ * @param {string} name - e.g. "browser.openInChrome"
+ */
+function remember(text, name) {
+  registry.delete(text);
+  registry.set(text, name);
+  if (registry.size > REGISTRY_LIMIT) registry.delete(registry.keys().next().value);
+}
+
+/**
+ * @param {string} text - A generated fragment
+ * @returns {string|null} The builder that last produced exactly this text
+ */
+function nameOf(text) {
+  return registry.get(text) ?? null;
+}
+
+/**
+ * Wraps every builder on `target` (static methods and nested namespace
+ * objects) so the text it returns is recorded under its dotted name.
+ * @param {object} target - `AppleScript`, or one of its namespaces
+ * @param {string} [prefix] - Dotted path of `target`
+ */
+function recordBuilderNames(target, prefix = "") {
+  for (const key of Object.getOwnPropertyNames(target)) {
+    if (["length", "name", "prototype"].includes(key) || key.startsWith("_") || UNNAMED.has(key)) continue;
+
+    const value = target[key];
+    const name = prefix + key;
+    if (typeof value === "function") {
+      target[key] = function (...args) {
+        const result = value.apply(this, args);
+        if (typeof result === "string" || result instanceof Block) remember(String(result), name);
+        return result;
+      };
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      recordBuilderNames(value, `${name}.`);
+    }
+  }
+}
+
+/**
+ * @class SourceMap
+ * @classdesc Character ranges of each array element inside the joined script.
+ */
+class SourceMap {
+  /**
+   * @param {string[]} steps - The array handed to `executeScript`
+   * @param {number} [offset=0] - Characters the executor adds before the steps
+   * @param {string} [separator="\n"]
+   */
+  constructor(steps, offset = 0, separator = "\n") {
+    let position = offset;
+    this.steps = steps.map((source, index) => {
+      const text = String(source);
+      const step = { index, name: nameOf(text), source: text, start: position, end: position + text.length };
+      position = step.end + separator.length;
+      return step;
+    });
+  }
+
+  /**
+   * @param {number} offset - Character offset in the full script
+   * @returns {{index: number, name: string|null, source: string, start: number, end: number} | null}
+   */
+  locate(offset) {
+    return this.steps.find(step => offset >= step.start && offset <= step.end) ?? null;
+  }
+
+  /**
+   * Adds `step` and `snippet` to an error that carries a `range`, and names the
+   * step in its message.
+   * @param {import('../errors').OsascriptError} error
+   * @param {string} script - The full script the range refers to
+   * @returns {typeof error}
+   */
+  annotate(error, script) {
+    if (!error.range) return error;
+    const step = this.locate(error.range.start);
+    if (!step) return error;
+
+    error.step = step;
+    error.snippet = snippet(script, error.range);
+    error.message += `\n    at step ${step.index}${step.name ? ` (${step.name})` : ""}\n${error.snippet}`;
+    return error;
+  }
+}
+
+/**
+ * Renders the lines around `range` with line numbers and a marker under the fault.
+ * @param {string} script
+ * @param {{start: number, end: number}} range
+ * @param {number} [context=2] - Lines to show before and after
+ * @param {string} [shown=script] - The script as it should be shown, line for line (e.g. redacted);
+ * `range` still refers to `script`
+ * @returns {string}
+ */
+function snippet(script, { start, end }, context = 2, shown = script) {
+  const lines = script.split("\n");
+  const display = shown.split("\n");
+  let lineStart = 0;
+  let row = 0;
+  while (row < lines.length - 1 && lineStart + lines[row].length < start) {
+    lineStart += lines[row].length + 1;
+    row++;
+  }
+
+  const width = String(Math.min(lines.length, row + context + 1)).length;
+  const out = [];
+  for (let i = Math.max(0, row - context); i <= Math.min(lines.length - 1, row + context); i++) {
+    out.push(`${i === row ? ">" : " "} ${String(i + 1).padStart(width)} | ${display[i] ?? ""}`);
+    if (i === row) {
+      const column = start - lineStart;
+      const length = Math.max(1, Math.min(end, lineStart + lines[i].length) - start);
+      out.push(`  ${" ".repeat(width)} | ${lines[i].slice(0, column).replace(/[^\t]/g, " ")}${"^".repeat(length)}`);
+    }
+  }
+  return out.join("\n");
+}
+
+module.exports = { recordBuilderNames, nameOf, SourceMap, snippet };
@@ -0,0 +1,196 @@
+/**
+ * Browser tabs in every window, not just the front one.
+ *
+ * AppleScript has no regular expressions and addresses tabs by position, so
+ * tabs are found by a small JXA program run with `run script … in "JavaScript"`:
+ * it reads `{ windowIndex, windowId, tabIndex, url, title, active }` for each
+ * tab of any browser whose adapter (see `browsers.js`) can list tabs — Safari,
+ * Chrome and the browsers built on it, Arc — and keeps those a {@link TabTarget}
+ * matches. A located tab is then addressed as `tab N of window id W`, which
+ * stays valid while other windows are raised or closed, and page JavaScript
+ * runs in it without bringing it to the front.
+ *
+ * @example
+ * tabTarget({ urlMatches: /github\.com/ }, "Safari");
+ * // { adapter: <Safari>, tab: "tab __tabIndex of window id __tabWindow",
+ * //   resolve: "set {__tabWindow, __tabIndex} to run script \"…\" in \"JavaScript\"" }
+ */
+const { quote } = require("./literals.js");
+const { functionSource } = require("./jxa.js");
+const { PAGE_RESULT, js } = require("./dom.js");
+const { browsers } = require("./browsers.js");
+
+/**
+ * Which tabs to act on: every given property must match. `urlMatches` and
+ * `titleMatches` take a RegExp, or a string the URL / title must contain;
+ * indexes count from 1, windows in front-to-back order. A function instead
+ * receives each {@link TabInfo} in JXA (no closures) and returns whether it matches.
+ * @typedef {{windowIndex?: number, windowId?: number, tabIndex?: number, urlMatches?: RegExp|string,
+ *   titleMatches?: RegExp|string, active?: boolean}|((tab: TabInfo) => boolean)} TabTarget
+ */
+
+/**
+ * @typedef {object} TabInfo
+ * @property {number} windowIndex - 1 is the front window
+ * @property {number} windowId
+ * @property {number} tabIndex - Position in its window, from 1
+ * @property {string} url
+ * @property {string} title
+ * @property {boolean} active - Whether it is the selected tab of its window
+ */
+
+/** Properties a {@link TabTarget} object may have. */
+const TARGET_KEYS = ["windowIndex", "windowId", "tabIndex", "urlMatches", "titleMatches", "active"];
+
+/**
+ * @private
+ * Runs in JXA: the tabs of `browser` that `matches`, then `action` on them.
+ * "list" and "close" answer with a page result, "locate" with `[windowId, tabIndex]`
+ * of the first match, "activate" selects it, raises its window and answers like "list".
+ * `dictionary` is the adapter's: Safari names tabs and has a current tab, Arc
+ * an active tab to compare by id, Chrome an active tab index.
+ */
+function tabAction(browser, dictionary, matches, action, description, marker) {
+  const app = Application(browser);
+  const safari = dictionary === "safari";
+  const tabs = [];
+
+  app.windows().forEach((win, w) => {
+    let active;
+    try {
+      if (safari) active = win.currentTab().index();
+      else if (dictionary === "arc") active = win.activeTab().id();
+      else active = win.activeTabIndex();
+    } catch (error) {
+      return; // a window without tabs, such as settings
+    }
+    win.tabs().forEach((tab, t) => {
+      const info = {
+        windowIndex: w + 1,
+        windowId: win.id(),
+        tabIndex: t + 1,
+        url: tab.url() || "",
+        title: (safari ? tab.name() : tab.title()) || "",
+        active: dictionary === "arc" ? tab.id() === active : t + 1 === active
+      };
+      if (matches(info)) tabs.push(info);
+    });
+  });
+
+  if (action === "list") return marker + JSON.stringify({ value: tabs });
+  if (action === "close") {
+    // last first, so the positions of the others do not shift
+    tabs.slice().reverse().forEach((tab) => app.windows.byId(tab.windowId).tabs[tab.tabIndex - 1].close());
+    return marker + JSON.stringify({ value: tabs });
+  }
+
+  const tab = tabs[0];
+  if (!tab) throw new Error(`No ${browser} tab matches ${description}`);
+  if (action === "locate") return [tab.windowId, tab.tabIndex];
+
+  const win = app.windows.byId(tab.windowId);
+  if (safari) win.currentTab = win.tabs[tab.tabIndex - 1];
+  else if (dictionary === "arc") win.tabs[tab.tabIndex - 1].select();
+  else win.activeTabIndex = tab.tabIndex;
+  win.index = 1;
+  app.activate();
+  return marker + JSON.stringify({ value: { ...tab, windowIndex: 1, active: true } });
+}
+
+/**
+ * The JXA predicate for `target`.
+ * @param {TabTarget} target
+ * @param {string} caller - Named in error messages
+ * @returns {string} JavaScript function source
+ */
+function tabMatcher(target, caller) {
+  if (typeof target === "function") return `(${functionSource(target, caller)})`;
+  if (!target || typeof target !== "object" || Array.isArray(target)) {
+    throw new TypeError(`${caller} expects a tab target object or a predicate function`);
+  }
+  const tests = Object.entries(target).map(([key, value]) => {
+    if (!TARGET_KEYS.includes(key)) throw new TypeError(`${caller}: unknown tab target property ${key} (expected ${TARGET_KEYS.join(", ")})`);
+    if (key === "urlMatches") return textTest("tab.url", value, caller, key);
+    if (key === "titleMatches") return textTest("tab.title", value, caller, key);
+    if (key === "active") return `tab.active === ${js(Boolean(value))}`;
+    if (!Number.isInteger(value)) throw new TypeError(`${caller}: ${key} must be an integer`);
+    return `tab.${key} === ${value}`;
+  });
+  if (tests.length === 0) throw new TypeError(`${caller} needs at least one of ${TARGET_KEYS.join(", ")}`);
+  return `((tab) => ${tests.join(" && ")})`;
+}
+
+/**
+ * @private
+ * `property` matches a RegExp (without its stateful flags) or contains a string.
+ */
+function textTest(property, pattern, caller, key) {
+  if (pattern instanceof RegExp) return `new RegExp(${js(pattern.source)}, ${js(pattern.flags.replace(/[gy]/g, ""))}).test(${property})`;
+  if (typeof pattern === "string") return `${property}.includes(${js(pattern)})`;
+  throw new TypeError(`${caller}: ${key} must be a RegExp or a string`);
+}
+
+/**
+ * @private
+ * How `target` reads in the "No tab matches" error.
+ */
+function describe(target) {
+  if (typeof target === "function") return "the predicate";
+  return Object.entries(target)
+    .map(([key, value]) => `${key}: ${value instanceof RegExp ? String(value) : JSON.stringify(value)}`)
+    .join(", ");
+}
+
+/**
+ * The JXA program that finds the tabs `target` matches and applies `action` to them.
+ * @param {"list"|"locate"|"activate"|"close"} action
+ * @param {TabTarget|null} target - `null` matches every tab
+ * @param {string} [browser] - Key or name in the `browsers` registry; its default if omitted
+ * @param {string} [caller]
+ * @returns {string} JXA source
+ * @throws {TypeError} When the browser cannot list tabs
+ */
+function tabScript(action, target, browser, caller = "browser.listTabs") {
+  const { name, dictionary } = browsers.require(browser, "tabs", caller);
+  const matches = target === null ? "(() => true)" : tabMatcher(target, caller);
+  const description = target === null ? "" : describe(target);
+  return `(${functionSource(tabAction, caller)})(${js(name)}, ${js(dictionary)}, ${matches}, ${js(action)}, ${js(description)}, ${js(PAGE_RESULT)})`;
+}
+
+/**
+ * @private
+ * AppleScript that runs a JXA program and evaluates to its result.
+ */
+function runJXA(source) {
+  return `run script ${quote(source)} in "JavaScript"`;
+}
+
+/**
+ * The first tab `target` matches, as a `PageTarget` for the `dom.js` builders:
+ * it is located when the script reaches it, and a script that finds no
+ * matching tab fails with `No <browser> tab matches …`.
+ * @param {TabTarget} target
+ * @param {string} [browser] - Key or name in the `browsers` registry; its default if omitted
+ * @returns {import('./dom.js').PageTarget}
+ */
+function tabTarget(target, browser) {
+  return {
+    adapter: browsers.require(browser, "javascript", "dom.in"),
+    tab: "tab __tabIndex of window id __tabWindow",
+    resolve: `set {__tabWindow, __tabIndex} to ${runJXA(tabScript("locate", target, browser, "dom.in"))}`
+  };
+}
+
+/**
+ * AppleScript whose result is the JSON-encoded {@link TabInfo} list `action` answers with.
+ * @param {"list"|"activate"|"close"} action
+ * @param {TabTarget|null} target
+ * @param {string|undefined} browser
+ * @param {string} caller
+ * @returns {string}
+ */
+function tabCommand(action, target, browser, caller) {
+  return runJXA(tabScript(action, target, browser, caller));
+}
+
+module.exports = { TARGET_KEYS, tabMatcher, tabScript, tabTarget, tabCommand };
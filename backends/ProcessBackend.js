@@ -0,0 +1,58 @@
+const { spawn } = require("child_process");
+
+/**
+ * @class ProcessBackend
+ * @classdesc Execution backend that spawns a fresh `osascript` process for every
+ * request and writes the script to its standard input (or runs its compiled
+ * `file`). Slower than the persistent worker, but keeps no background process
+ * alive between calls.
+ */
+class ProcessBackend {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.command="osascript"] - Executable to spawn
+   */
+  constructor({ command = "osascript" } = {}) {
+    this.command = command;
+  }
+
+  /**
+   * @param {import('./WorkerBackend').ScriptRequest} request
+   * @returns {Promise<import('./WorkerBackend').ScriptResponse>}
+   */
+  run(request) {
+    const { signal } = request;
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, [...request.flags, request.file ?? "-", ...(request.args ?? [])], { stdio: ["pipe", "pipe", "pipe"] });
+      let stdout = "";
+      let stderr = "";
+
+      const onAbort = () => {
+        child.kill();
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      child.stdout.setEncoding("utf8"); // chunks never split a character
+      child.stdout.on("data", (chunk) => (stdout += chunk));
+      child.stderr.setEncoding("utf8");
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+        request.onStderr?.(chunk);
+      });
+      child.on("error", reject);
+      child.on("close", (code) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve({ stdout, stderr, code: code ?? 1 });
+      });
+      child.stdin.on("error", () => {}); // surfaced through "error" / "close" instead
+
+      child.stdin.end(request.file ? "" : request.script + "\n");
+    });
+  }
+
+  /** Nothing to release — each process exits on its own. */
+  close() {}
+}
+
+module.exports = { ProcessBackend };
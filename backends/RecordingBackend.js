@@ -0,0 +1,100 @@
+/**
+ * @class RecordingBackend
+ * @classdesc Execution backend that never runs anything. It records every
+ * request and answers with canned or scripted responses, so `appleCommands`
+ * sequences can be unit-tested on any OS and the generated AppleScript
+ * snapshot-tested.
+ *
+ * @example
+ * const backend = new RecordingBackend({ responses: ["Safari\n"] });
+ * const script = new Osascript({ backend });
+ *
+ * await script.executeScript([script.appleCommands.getFrontmostApp()]); // "Safari\n"
+ * assert.deepEqual(backend.scripts, ['tell application "System Events" to get name of …']);
+ */
+class RecordingBackend {
+  /**
+   * @type {import('./WorkerBackend').ScriptRequest[]}
+   * @description Every request received, in order
+   */
+  calls = [];
+
+  /**
+   * @private
+   * @type {Array<string|Partial<import('./WorkerBackend').ScriptResponse>>}
+   */
+  #queue;
+
+  /**
+   * @private
+   * @type {Function | null}
+   */
+  #respond;
+
+  /**
+   * @param {object} [options]
+   * @param {Array<string|object>} [options.responses] - Responses handed out in order.
+   * A string is shorthand for `{ stdout: string }`.
+   * @param {(request: object) => (string|object|Promise<string|object>)} [options.respond] -
+   * Computes a response once the queue is empty. Without it, scripts "succeed" with empty stdout.
+   */
+  constructor({ responses = [], respond = null } = {}) {
+    this.#queue = [...responses];
+    this.#respond = respond;
+  }
+
+  /**
+   * Source text of every recorded script.
+   * @returns {string[]}
+   */
+  get scripts() {
+    return this.calls.map(call => call.script);
+  }
+
+  /**
+   * Queues more canned responses.
+   * @param {...(string|object)} responses
+   */
+  respond(...responses) {
+    this.#queue.push(...responses);
+  }
+
+  /** Clears recorded calls and queued responses. */
+  reset() {
+    this.calls = [];
+    this.#queue = [];
+  }
+
+  /**
+   * @param {import('./WorkerBackend').ScriptRequest} request
+   * @returns {Promise<import('./WorkerBackend').ScriptResponse>}
+   */
+  async run(request) {
+    const { signal, ...recorded } = request;
+    this.calls.push({ ...recorded, flags: [...request.flags] });
+
+    let response = "";
+    if (this.#queue.length > 0) response = this.#queue.shift();
+    else if (this.#respond) response = await aborting(this.#respond(request), signal);
+
+    if (typeof response === "string") response = { stdout: response };
+    return { stdout: "", stderr: "", code: 0, ...response };
+  }
+
+  close() {}
+}
+
+/**
+ * @private
+ * Settles with `value`, or rejects with `signal.reason` if the signal aborts first.
+ */
+function aborting(value, signal) {
+  if (!signal) return value;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(value).then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+module.exports = { RecordingBackend };
@@ -0,0 +1,426 @@
+const path = require("path");
+const { spawn } = require("child_process");
+const { StringDecoder } = require("string_decoder");
+const { EventEmitter } = require("events");
+const { OsascriptClosedError, OsascriptWorkerError } = require("../errors");
+const { Logger } = require("../Logger");
+
+const WORKER_PATH = path.join(__dirname, "..", "workers", "index.js");
+
+/**
+ * @typedef {object} ScriptRequest
+ * @property {string} script - Complete AppleScript source
+ * @property {string[]} flags - Extra `osascript` flags, e.g. `["-s", "s"]`
+ * @property {string[]} [args] - Arguments after the script, received by its `on run argv` handler
+ * @property {string} [file] - Compiled `.scpt` of `script` to run instead of the source (see `ScriptCache`)
+ * @property {(chunk: string) => void} [onStderr] - Receives stderr while the script runs
+ * (`log` output, then any error report). Backends that cannot stream may never call it
+ * @property {AbortSignal} [signal] - When aborted, the backend kills this script's
+ * `osascript` and rejects with `signal.reason`
+ */
+
+/**
+ * @typedef {object} ScriptResponse
+ * @property {string} stdout
+ * @property {string} stderr
+ * @property {number} code - Exit code of `osascript` (0 on success)
+ */
+
+/**
+ * @class WorkerBackend
+ * @classdesc Default execution backend: a persistent Node.js worker process
+ * (`workers/index.js`) that spawns each request's `osascript` concurrently and
+ * answers over a newline-delimited JSON protocol keyed by request id. The
+ * script is written straight to `osascript`'s standard input, without a shell,
+ * and its output is streamed back with no size limit.
+ *
+ * The worker is supervised. If it exits unexpectedly, scripts that were
+ * running are rejected or replayed (see `onCrash`) and a new worker is
+ * started with exponential backoff. Scripts submitted meanwhile wait for it.
+ *
+ * Every backend implements `run(request) → Promise<ScriptResponse>` and `close()`.
+ *
+ * @fires WorkerBackend#spawn   `{ pid }` — a worker process started
+ * @fires WorkerBackend#exit    `{ code, signal }` — a worker process exited (expectedly or not)
+ * @fires WorkerBackend#crash   `{ code, signal, error }` — the exit was unexpected
+ * @fires WorkerBackend#restart `{ attempt, delay }` — a replacement is scheduled
+ * @fires WorkerBackend#failed  `{ restarts }` — gave up after `maxRestarts` consecutive crashes
+ * @fires WorkerBackend#close   — shut down through `close()`
+ */
+class WorkerBackend extends EventEmitter {
+  /**
+   * @private
+   * @type {import('child_process').ChildProcessWithoutNullStreams | null}
+   */
+  mainThread = null;
+
+  /**
+   * @private
+   * @type {Map<number, {message: object, resolve: Function, reject: Function, onStderr?: Function, replays: number, sent: boolean}>}
+   * @description Requests not yet answered, keyed by request id. `sent` is false
+   * while a request waits for a (re)started worker.
+   */
+  #pending = new Map();
+
+  /**
+   * @private
+   * @type {number}
+   * @description Id assigned to the next request sent to the worker
+   */
+  #nextId = 1;
+
+  /**
+   * @private
+   * @type {string}
+   * @description Partial stdout line carried over between `data` chunks
+   */
+  #buffer = "";
+
+  /**
+   * @private
+   * @type {StringDecoder}
+   * @description Keeps a character split across `data` chunks whole
+   */
+  #decoder = new StringDecoder("utf8");
+
+  /**
+   * @private
+   * @type {"running"|"restarting"|"closing"|"closed"|"failed"}
+   */
+  #state = "running";
+
+  /**
+   * @private
+   * @type {number}
+   * @description Consecutive crashes since the worker last answered a request
+   */
+  #restarts = 0;
+
+  /** @private */
+  #restartTimer = null;
+
+  /**
+   * @private
+   * @description Forces a graceful `close({ timeout })` that is still waiting
+   */
+  #closeTimer = null;
+
+  /**
+   * @private
+   * @type {Promise<void> | null}
+   */
+  #closing = null;
+
+  /** @private */
+  #options;
+
+  /**
+   * Spawns the persistent background process (mainThread) used to run AppleScript commands.
+   * This improves performance by avoiding repeated process spawning.
+   * @param {object} [options]
+   * @param {"reject"|"replay"} [options.onCrash="reject"] - What happens to scripts that were
+   * running when the worker died: reject them with `OsascriptWorkerError`, or run them again
+   * (once) on the replacement worker. Only replay scripts that are safe to run twice.
+   * @param {number} [options.maxRestarts=5] - Consecutive crashes tolerated before giving up
+   * @param {{initial?: number, max?: number, factor?: number}} [options.backoff] - Restart delay
+   * in ms: `initial * factor ** attempt`, capped at `max` (defaults 100 / 5000 / 2)
+   * @param {Logger} [options.logger] - Receives the worker's own diagnostics (`Osascript` passes its logger)
+   */
+  constructor({ onCrash = "reject", maxRestarts = 5, backoff = {}, logger = new Logger() } = {}) {
+    super();
+    this.#options = {
+      onCrash,
+      maxRestarts,
+      logger,
+      backoff: { initial: 100, max: 5000, factor: 2, ...backoff }
+    };
+    this.#spawn();
+  }
+
+  /**
+   * @private
+   * Starts a worker process, wires up its streams and sends any requests that
+   * were waiting for it.
+   */
+  #spawn() {
+    const worker = spawn(
+      process.execPath,     // node runtime
+      [WORKER_PATH],        // must be an array of strings
+      { stdio: ["pipe", "pipe", "pipe"],
+      env: { ...process.env, ELECTRON_RUN_AS_NODE: "1" } }
+    );
+
+    this.mainThread = worker;
+    this.#buffer = "";
+    this.#decoder = new StringDecoder("utf8");
+    this.#state = "running";
+
+    worker.stderr.on("data", this.#errorHandler.bind(this));
+    worker.stdout.on("data", this.#handleOutput.bind(this));
+    worker.stdin.on("error", () => {}); // a dead worker is reported through "exit"
+    worker.on("error", (error) => this.#handleExit(worker, null, null, error));
+    worker.on("exit", (code, signal) => this.#handleExit(worker, code, signal));
+
+    this.emit("spawn", { pid: worker.pid });
+
+    for (const [id, entry] of this.#pending) {
+      if (!entry.sent) this.#write(id, entry);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} id
+   * @param {object} entry - A `#pending` entry
+   */
+  #write(id, entry) {
+    entry.sent = true;
+    this.mainThread.stdin.write(JSON.stringify(entry.message) + "\n");
+  }
+
+  /**
+   * @private
+   * @param {Buffer} err
+   * Logs diagnostics the worker writes outside of the response protocol.
+   * Script failures arrive as framed responses, so nothing is rejected here.
+   */
+  #errorHandler(err) {
+    this.#options.logger.error("Worker stderr", { output: err?.toString() });
+  }
+
+  /**
+   * @private
+   * @param {Buffer} out
+   * Reassembles newline-delimited messages from the worker. Progress messages
+   * (stderr without an exit code) go to the request's `onStderr`; a response
+   * settles the promise whose id it carries.
+   */
+  #handleOutput(out) {
+    this.#buffer += this.#decoder.write(out);
+    const lines = this.#buffer.split("\n");
+    this.#buffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let response;
+      try {
+        response = JSON.parse(line);
+      } catch {
+        this.#options.logger.error("Unexpected worker output", { line });
+        continue;
+      }
+
+      this.#restarts = 0; // the worker is healthy again
+      const current = this.#pending.get(response.id);
+      if (!current) continue;
+      if (response.code === undefined) {
+        current.onStderr?.(response.stderr);
+        continue;
+      }
+      this.#pending.delete(response.id);
+      current.resolve({ stdout: response.stdout, stderr: response.stderr, code: response.code });
+    }
+
+    if (this.#state === "closing" && this.#pending.size === 0) this.#shutdown();
+  }
+
+  /**
+   * @private
+   * Reacts to a worker process ending: a requested shutdown completes `close()`,
+   * anything else is a crash that triggers the `onCrash` policy and a restart.
+   */
+  #handleExit(worker, code, signal, error) {
+    if (worker !== this.mainThread) return; // already handled, or a retired worker
+    this.mainThread = null;
+    this.emit("exit", { code, signal });
+
+    if (this.#state === "closing" || this.#state === "closed") {
+      this.#rejectAll(new OsascriptWorkerError("Worker exited while closing", { code, signal }));
+      this.#closed();
+      return;
+    }
+
+    this.emit("crash", { code, signal, error });
+    this.#orphan(new OsascriptWorkerError(
+      `Worker exited unexpectedly (${signal ?? `code ${code}`})${error ? `: ${error.message}` : ""}`,
+      { code, signal }
+    ));
+    this.#scheduleRestart();
+  }
+
+  /**
+   * @private
+   * @param {Error} error - Rejection for requests that are not replayed
+   * Applies the `onCrash` policy to requests the lost worker was running.
+   */
+  #orphan(error) {
+    for (const [id, entry] of this.#pending) {
+      if (!entry.sent) continue;
+      if (this.#options.onCrash === "replay" && entry.replays < 1) {
+        entry.replays++;
+        entry.sent = false;
+      } else {
+        this.#pending.delete(id);
+        entry.reject(error);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Error} error
+   */
+  #rejectAll(error) {
+    for (const entry of this.#pending.values()) entry.reject(error);
+    this.#pending.clear();
+  }
+
+  /** @private */
+  #scheduleRestart() {
+    const { maxRestarts, backoff } = this.#options;
+    if (this.#restarts >= maxRestarts) {
+      this.#state = "failed";
+      this.emit("failed", { restarts: this.#restarts });
+      this.#rejectAll(new OsascriptWorkerError(`Worker crashed ${this.#restarts} times in a row; giving up`));
+      return;
+    }
+
+    const delay = Math.min(backoff.initial * backoff.factor ** this.#restarts, backoff.max);
+    this.#restarts++;
+    this.#state = "restarting";
+    this.emit("restart", { attempt: this.#restarts, delay });
+    this.#restartTimer = setTimeout(() => {
+      this.#restartTimer = null;
+      this.#spawn();
+    }, delay);
+  }
+
+  /**
+   * @private
+   * The worker is gone for good: a pending `close({ timeout })` has nothing left to force.
+   */
+  #closed() {
+    clearTimeout(this.#closeTimer);
+    this.#closeTimer = null;
+    this.#state = "closed";
+    this.emit("close");
+  }
+
+  /**
+   * @private
+   * Asks the worker to exit; `close` is emitted once it has.
+   */
+  #shutdown() {
+    const worker = this.mainThread;
+    if (!worker) {
+      this.#closed();
+      return;
+    }
+    this.#state = "closing";
+    if (!worker.stdin.writableEnded) worker.stdin.end(JSON.stringify({ op: "exit" }) + "\n");
+  }
+
+  /**
+   * Sends one framed request to the worker and waits for its matching response.
+   * @param {ScriptRequest} request
+   * @returns {Promise<ScriptResponse>}
+   */
+  run(request) {
+    if (this.#state === "closing" || this.#state === "closed") {
+      return Promise.reject(new OsascriptClosedError("Osascript runtime error: mainThread is not running"));
+    }
+    if (this.#state === "failed") {
+      return Promise.reject(new OsascriptWorkerError("Worker is down; call restart() to try again"));
+    }
+
+    // the worker spawns osascript itself and writes the script to its stdin: no shell, no quoting
+    const { script, flags, args = [], file = null, onStderr } = request;
+
+    const id = this.#nextId++;
+    const { signal } = request;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const entry = this.#pending.get(id);
+        this.#pending.delete(id);
+        if (entry?.sent) this.mainThread?.stdin.write(JSON.stringify({ op: "kill", id }) + "\n");
+        reject(signal.reason);
+        if (this.#state === "closing" && this.#pending.size === 0) this.#shutdown();
+      };
+      const settle = (fn) => (value) => {
+        signal?.removeEventListener("abort", onAbort);
+        fn(value);
+      };
+
+      const entry = {
+        message: { op: "run", id, script, flags, args, file },
+        resolve: settle(resolve),
+        reject: settle(reject),
+        onStderr,
+        replays: 0,
+        sent: false
+      };
+      this.#pending.set(id, entry);
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (this.#state === "running") this.#write(id, entry);
+    });
+  }
+
+  /**
+   * Restarts the background AppleScript execution thread.
+   * Can be used if the process crashes or is terminated, or after it gave up
+   * restarting on its own. Scripts running on the old worker follow `onCrash`.
+   */
+  restart() {
+    clearTimeout(this.#restartTimer);
+    this.#restartTimer = null;
+    clearTimeout(this.#closeTimer);
+    this.#closeTimer = null;
+
+    const old = this.mainThread;
+    this.mainThread = null; // its exit is no longer ours to handle
+    old?.stdin.end(JSON.stringify({ op: "exit" }) + "\n");
+
+    this.#orphan(new OsascriptWorkerError("Worker was restarted"));
+    this.#restarts = 0;
+    this.#closing = null;
+    this.#spawn();
+  }
+
+  /**
+   * Shuts down the worker process.
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - Reject running scripts with `OsascriptClosedError`
+   * and stop at once, instead of waiting for them to finish
+   * @param {number} [options.timeout] - Graceful mode only: force the shutdown after this many ms
+   * @returns {Promise<void>} Resolves once the worker has exited
+   */
+  close({ force = false, timeout } = {}) {
+    if (this.#state === "closed") return Promise.resolve();
+
+    if (!this.#closing) {
+      this.#closing = new Promise((resolve) => this.once("close", resolve));
+      clearTimeout(this.#restartTimer);
+      this.#restartTimer = null;
+      this.#state = "closing";
+
+      // requests still waiting for a restarted worker will never get one
+      for (const [id, entry] of this.#pending) {
+        if (entry.sent) continue;
+        this.#pending.delete(id);
+        entry.reject(new OsascriptClosedError());
+      }
+      if (timeout && !force) {
+        this.#closeTimer = setTimeout(() => this.close({ force: true }), timeout);
+        this.#closeTimer.unref();
+      }
+    }
+
+    if (force) this.#rejectAll(new OsascriptClosedError());
+    if (this.#pending.size === 0) this.#shutdown();
+
+    return this.#closing;
+  }
+}
+
+module.exports = { WorkerBackend };
@@ -0,0 +1,5 @@
+const { WorkerBackend } = require("./WorkerBackend");
+const { ProcessBackend } = require("./ProcessBackend");
+const { RecordingBackend } = require("./RecordingBackend");
+
+module.exports = { WorkerBackend, ProcessBackend, RecordingBackend };
@@ -0,0 +1,215 @@
+/**
+ * @class OsascriptTimeoutError
+ * @classdesc Rejection for a script that ran past its `timeout`. The script's
+ * `osascript` process has been killed; other queued scripts are unaffected.
+ */
+class OsascriptTimeoutError extends Error {
+  /**
+   * @param {number} timeout - The timeout that elapsed, in milliseconds
+   */
+  constructor(timeout) {
+    super(`AppleScript timed out after ${timeout}ms`);
+    this.name = "OsascriptTimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * @class OsascriptAbortError
+ * @classdesc Rejection for a script cancelled through its `AbortSignal`. The
+ * script's `osascript` process has been killed; other queued scripts are unaffected.
+ */
+class OsascriptAbortError extends Error {
+  /**
+   * @param {*} [reason] - `signal.reason` of the aborted signal
+   */
+  constructor(reason) {
+    super("AppleScript was aborted");
+    this.name = "OsascriptAbortError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * @class OsascriptClosedError
+ * @classdesc Rejection for a script submitted after `close()`, or still running
+ * when `close({ force: true })` shut the executor down.
+ */
+class OsascriptClosedError extends Error {
+  /**
+   * @param {string} [message]
+   */
+  constructor(message = "Osascript was closed before the script finished") {
+    super(message);
+    this.name = "OsascriptClosedError";
+  }
+}
+
+/**
+ * @class OsascriptWorkerError
+ * @classdesc Rejection for a script lost because the background worker exited,
+ * crashed or was restarted while it was running.
+ */
+class OsascriptWorkerError extends Error {
+  /**
+   * @param {string} message
+   * @param {{code?: number|null, signal?: string|null}} [exit] - How the worker exited
+   */
+  constructor(message, { code = null, signal = null } = {}) {
+    super(message);
+    this.name = "OsascriptWorkerError";
+    this.exitCode = code;
+    this.signal = signal;
+  }
+}
+
+/**
+ * @class OsascriptCaptureError
+ * @classdesc Rejection for `executeScript(…, { capture })` when some of the
+ * requested variables could not be read back. The script itself ran to the end,
+ * unless a top-level `return` ended it before the variables were read.
+ */
+class OsascriptCaptureError extends Error {
+  /**
+   * @param {Record<string, {message: string, number: number|null, code: string|null}>} errors - Per variable name
+   * @param {Record<string, *>} values - The variables that were captured
+   * @param {string} [message] - When one cause accounts for every error
+   */
+  constructor(errors, values, message) {
+    const names = Object.keys(errors);
+    super(message ?? `Could not capture ${names.map(name => `${name} (${errors[name].message})`).join(", ")}`);
+    this.name = "OsascriptCaptureError";
+    this.errors = errors;
+    this.values = values;
+  }
+}
+
+/**
+ * @class OsascriptPageError
+ * @classdesc JavaScript evaluated in a browser page (`dom.evaluate` and the
+ * queries built on it) threw, or a `dom.runAsync` promise rejected. The fields
+ * describe the exception as the page saw it. A rejected promise stops the
+ * AppleScript, and `step` names the `dom.runAsync` step, as for `OsascriptError`.
+ */
+class OsascriptPageError extends Error {
+  /**
+   * @param {{name?: string, message?: string, stack?: string|null}} error - The in-page exception
+   */
+  constructor({ name = "Error", message = "", stack = null } = {}) {
+    super(`${name}: ${message}`);
+    this.name = "OsascriptPageError";
+    /** @type {string} Constructor name of the page-side exception, e.g. "TypeError" */
+    this.pageName = name;
+    /** @type {string} The page-side message */
+    this.pageMessage = message;
+    /** @type {string|null} The page-side stack trace, when the browser provides one */
+    this.pageStack = stack;
+  }
+}
+
+/**
+ * Symbolic names for well-known AppleScript / Apple Event error numbers.
+ * @type {Readonly<Record<number, string>>}
+ */
+const ERROR_CODES = Object.freeze({
+  [-128]: "USER_CANCELLED",
+  [-600]: "APP_NOT_RUNNING",
+  [-1700]: "CANT_COERCE",
+  [-1708]: "NOT_UNDERSTOOD",
+  [-1712]: "APPLE_EVENT_TIMED_OUT",
+  [-1719]: "INVALID_INDEX",
+  [-1728]: "CANT_GET_OBJECT",
+  [-1743]: "NOT_AUTHORIZED",
+  [-2700]: "SCRIPT_ERROR",
+  [-2741]: "SYNTAX_ERROR",
+  [-2753]: "VARIABLE_NOT_DEFINED",
+  [-10000]: "HANDLER_FAILED",
+  [-10004]: "PRIVILEGE_VIOLATION",
+  [-10006]: "CANT_SET_DATA",
+  [-25211]: "ACCESSIBILITY_NOT_ALLOWED"
+});
+
+/**
+ * `123:140: execution error: Finder got an error: Can't get folder "x". (-1728)`
+ * JXA reports leave out the character range: `execution error: Error: … (-2700)`
+ * The message may span lines; the number closes the whole report.
+ */
+const ERROR_LINE = /(?:^|\n)(?:(\d+):(\d+): )?(execution|syntax) error: ([\s\S]*?)(?: \((-?\d+)\))?\s*$/;
+
+/** Pulls the offending object out of the common "Can't …" message shapes. */
+const OBJECT_PATTERNS = [
+  /^Can[’']t get (.+?)\.?$/,
+  /^Can[’']t make (.+?) into type /,
+  /^Can[’']t set (.+?) to /,
+  /^(.+?) doesn[’']t understand the /
+];
+
+/**
+ * @class OsascriptError
+ * @classdesc A failed script, parsed from `osascript`'s error report:
+ * `start:end: execution error: App got an error: message (number)`.
+ *
+ * @example
+ * try {
+ *   await script.executeScript([script.appleCommands.display("Continue?")]);
+ * } catch (err) {
+ *   if (err instanceof OsascriptError && err.code === "USER_CANCELLED") return;
+ *   throw err;
+ * }
+ */
+class OsascriptError extends Error {
+  /**
+   * @param {{stdout?: string, stderr?: string, code?: number}} response - The failed backend response
+   */
+  constructor({ stdout = "", stderr = "", code: exitCode = 1 } = {}) {
+    const text = String(stderr).trim();
+    const match = ERROR_LINE.exec(text);
+
+    let message = match ? match[4].trim() : text || `osascript exited with code ${exitCode}`;
+    let application = null;
+    const appMatch = /^(.+?) got an error: ([\s\S]*)$/.exec(message);
+    if (appMatch) {
+      application = appMatch[1];
+      message = appMatch[2];
+    }
+
+    super(match ? match[0].trim() : message);
+    this.name = "OsascriptError";
+
+    /** @type {"execution"|"syntax"|null} */
+    this.kind = match ? match[3] : null;
+    /** @type {string} The error message without location, application or number */
+    this.briefMessage = message;
+    /** @type {number|null} AppleScript error number, e.g. -1728 */
+    this.number = match?.[5] !== undefined ? Number(match[5]) : null;
+    /** @type {string|null} Symbolic name from `ERROR_CODES`, e.g. "CANT_GET_OBJECT" */
+    this.code = this.number !== null ? ERROR_CODES[this.number] ?? null : null;
+    /** @type {{start: number, end: number}|null} Character range in the script source */
+    this.range = match?.[1] !== undefined ? { start: Number(match[1]), end: Number(match[2]) } : null;
+    /** @type {string|null} Application that raised the error ("Finder got an error: …") */
+    this.application = application;
+    /** @type {string|null} The object AppleScript could not get / make / set */
+    this.object = null;
+    for (const pattern of OBJECT_PATTERNS) {
+      const objectMatch = pattern.exec(message);
+      if (objectMatch) {
+        this.object = objectMatch[1];
+        break;
+      }
+    }
+    this.exitCode = exitCode;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+}
+
+module.exports = {
+  OsascriptError,
+  ERROR_CODES,
+  OsascriptTimeoutError,
+  OsascriptAbortError,
+  OsascriptClosedError,
+  OsascriptWorkerError,
+  OsascriptCaptureError,
+  OsascriptPageError
+};
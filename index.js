@@ -1,3 +1,13 @@
 const {Osascript}=require("./Osascript");
+const {Session}=require("./Session");
+const {ScriptCache}=require("./ScriptCache");
+const {Logger}=require("./Logger");
+const {AppleScript}=require("./apple-script/Apple.js");
+const {JXA}=require("./apple-script/jxa.js");
+const {browsers,BrowserRegistry}=require("./apple-script/browsers.js");
+const {Block}=require("./apple-script/block.js");
+const {expr,Expression}=require("./apple-script/expression.js");
+const {WorkerBackend,ProcessBackend,RecordingBackend}=require("./backends");
+const {OsascriptError,ERROR_CODES,OsascriptTimeoutError,OsascriptAbortError,OsascriptClosedError,OsascriptWorkerError,OsascriptCaptureError,OsascriptPageError}=require("./errors");
 const osascript=new Osascript();
-module.exports={osascript}
\ No newline at end of file
+module.exports={osascript,Osascript,Session,ScriptCache,Logger,AppleScript,browsers,BrowserRegistry,Block,expr,Expression,JXA,WorkerBackend,ProcessBackend,RecordingBackend,OsascriptError,ERROR_CODES,OsascriptTimeoutError,OsascriptAbortError,OsascriptClosedError,OsascriptWorkerError,OsascriptCaptureError,OsascriptPageError}
\ No newline at end of file
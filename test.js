@@ -13,7 +13,10 @@ const script = new Osascript();
         "Submarine"
       ),
       script.appleCommands.browser.openInChrome("https://www.reddit.com"),
-      script.appleCommands.delay(6),
+      script.appleCommands.dom.waitForFunction(
+        () => location.hostname.endsWith("reddit.com") && document.readyState === "complete",
+        { timeout: 20000 }
+      ),
 
       // Inject gradient background + popup banner
       script.appleCommands.dom.run(`
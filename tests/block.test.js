@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { Block } = require("../apple-script/block.js");
+const { Osascript } = require("../Osascript");
+const { RecordingBackend } = require("../backends");
+
+test("nested blocks are indented one tab per level", () => {
+  const script = AppleScript.script()
+    .tell("Finder", (finder) => finder
+      .add(AppleScript.delay(1))
+      .try(["delete x"], (onError, { message }) => onError.add(`log ${message}`)))
+    .return("true");
+
+  assert.equal(String(script), [
+    'tell application "Finder"',
+    "\tdelay 1",
+    "\ttry",
+    "\t\tdelete x",
+    "\ton error errMsg number errNum",
+    "\t\tlog errMsg",
+    "\tend try",
+    "end tell",
+    "return true"
+  ].join("\n"));
+});
+
+test("handlers, considering and with timeout wrap their bodies", () => {
+  const script = new Block()
+    .handler("twice", ["x"], (body) => body.return("x * 2"))
+    .considering(["case", "white space"], ['if a is "A" then beep'])
+    .withTimeout(30, AppleScript.tell("Safari", "activate"));
+
+  assert.deepEqual(script.steps(), [
+    "on twice(x)\n\treturn x * 2\nend twice",
+    'considering case, white space\n\tif a is "A" then beep\nend considering',
+    'with timeout of 30 seconds\n\ttell application "Safari"\n\t\tactivate\n\tend tell\nend timeout'
+  ]);
+});
+
+test("string builders indent multi-line bodies and accept blocks", () => {
+  assert.equal(
+    AppleScript.if("ready", [AppleScript.tell("Music", "play")]),
+    'if ready then\n\ttell application "Music"\n\t\tplay\n\tend tell\nend if'
+  );
+  assert.equal(AppleScript.ifElse("a", ["beep"], ["delay 1"]), "if a then\n\tbeep\nelse\n\tdelay 1\nend if");
+  assert.deepEqual([...AppleScript.AppleCodeBlock("beep", ["delay 1"])], ["beep", "delay 1"]);
+});
+
+test("executeScript accepts a block and maps errors to its top-level statements", async () => {
+  const script = AppleScript.script(AppleScript.speak("hi")).tell("Finder", ["open x", "close y"]);
+  const start = String(script).indexOf("close y");
+  const backend = new RecordingBackend({
+    responses: ["", { code: 1, stderr: `${start}:${start + 7}: execution error: nope (-1728)` }]
+  });
+  const runner = new Osascript({ backend });
+
+  await runner.executeScript(script);
+  assert.equal(backend.scripts[0], String(script));
+
+  const err = await runner.executeScript(script).catch(e => e);
+  assert.equal(err.step.index, 1);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BrowserRegistry, browsers } = require("../apple-script/browsers.js");
+const { AppleScript } = require("../apple-script/Apple.js");
+
+test("adapters are found by key, application name or bundle identifier", () => {
+  const registry = new BrowserRegistry({ detect: () => null });
+  assert.equal(registry.get("brave").name, "Brave Browser");
+  assert.equal(registry.get("microsoft edge").key, "edge");
+  assert.equal(registry.get("com.google.Chrome.canary").name, "Google Chrome Canary");
+  assert.equal(registry.get().name, "Google Chrome");
+  assert.equal(registry.find("Vivaldi"), null);
+  assert.throws(() => registry.get("safary"), /Unknown browser: safary \(expected safari, chrome, .*browsers\.register/);
+  assert.throws(() => registry.setDefault("Vivaldi"), /Unknown browser: Vivaldi/);
+  registry.register("vivaldi", { name: "Vivaldi" });
+  assert.deepEqual(registry.get("Vivaldi"), { ...registry.get("chromium"), key: "vivaldi", name: "Vivaldi", bundleId: null });
+
+  assert.deepEqual(registry.get("firefox").capabilities, { javascript: false, tabs: false, newWindow: false });
+  assert.equal(registry.supports("arc", "tabs"), true);
+  const limited = registry.register("kiosk", { name: "Kiosk", capabilities: { newWindow: false } });
+  assert.deepEqual(limited.capabilities, { javascript: true, tabs: true, newWindow: false });
+  assert.throws(() => registry.register("odd", { name: "Odd", dictionary: "gecko" }), /Unknown browser dictionary: gecko/);
+});
+
+test("the system default browser is detected once and can become the default", () => {
+  let asked = 0;
+  const registry = new BrowserRegistry({ detect: () => (asked++, "company.thebrowser.Browser") });
+  assert.equal(registry.get("default").name, "Arc");
+  registry.setDefault("default");
+  assert.equal(registry.get().name, "Arc");
+  assert.equal(asked, 1);
+
+  assert.equal(new BrowserRegistry({ detect: () => "org.example.unknown" }).get("default").name, "Google Chrome");
+});
+
+test("dom, tab and browser builders use the adapter's name and dictionary", (t) => {
+  t.after(() => browsers.setDefault("chrome"));
+
+  assert.match(AppleScript.dom.getTitle({ browser: "edge" }), /^tell application "Microsoft Edge" to execute front window's active tab javascript /);
+  assert.match(AppleScript.dom.click("a"), /^tell application "Google Chrome" to /);
+  browsers.setDefault("brave");
+  assert.match(AppleScript.dom.click("a"), /^tell application "Brave Browser" to execute /);
+  assert.match(AppleScript.dom.waitForLoadState(), /tell application "Brave Browser" to set __waitState/);
+  assert.match(AppleScript.browser.openInChrome("https://example.com"), /^tell application "Brave Browser"\n/);
+  assert.match(AppleScript.application.chrome.getTabs(), /^tell application "Brave Browser" to get title/);
+  assert.match(AppleScript.browser.listTabs(), /run script .*Brave Browser/s);
+
+  browsers.setDefault("safari");
+  assert.match(AppleScript.dom.run("1"), /^tell application "Safari" to do JavaScript "1" in front document$/);
+  assert.match(AppleScript.application.chrome.reloadFrontTab(), /^tell application "Google Chrome"/);
+  assert.throws(() => AppleScript.application.chrome.getTabs("safari"), /application.chrome: Safari does not use Chrome's scripting dictionary/);
+
+  assert.throws(() => AppleScript.dom.getTitle({ browser: "firefox" }), /dom: Firefox does not support running page JavaScript/);
+  assert.throws(() => AppleScript.dom.getTitle({ browser: "Firefx" }), /Unknown browser: Firefx/);
+  assert.throws(() => AppleScript.browser.listTabs({ browser: "firefox" }), /browser.listTabs: Firefox does not support listing and targeting tabs/);
+  assert.throws(() => AppleScript.browser.newWindow("https://example.com", { browser: "firefox" }), /opening new windows/);
+  assert.match(AppleScript.browser.open("https://example.com", { browser: "firefox" }), /open location "https:\/\/example.com"/);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { ScriptCache } = require("../ScriptCache");
+const { Osascript } = require("../Osascript");
+const { RecordingBackend } = require("../backends");
+
+async function tempCache(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "apple-js-cache-test-"));
+  const compiled = [];
+  const cache = new ScriptCache({
+    dir,
+    compile: async (script, output, { language }) => {
+      if (script.includes("syntax error")) throw new Error("Expected end of line");
+      compiled.push({ script, language });
+      await fs.writeFile(output, script);
+    },
+    ...options
+  });
+  return { dir, cache, compiled };
+}
+
+test("scripts are compiled once and run from the cached file", async () => {
+  const { dir, cache, compiled } = await tempCache();
+  const backend = new RecordingBackend();
+  const script = new Osascript({ backend, cache });
+
+  await script.executeScript(["beep"], { args: ["a"] });
+  await script.executeScript(["beep"], { args: ["b"] });
+  await script.executeScript(["beep"], { cache: false });
+
+  assert.equal(compiled.length, 1);
+  const file = path.join(dir, `${cache.hash(backend.scripts[0])}.scpt`);
+  assert.equal(backend.calls[0].file, file);
+  assert.equal(backend.calls[1].file, file);
+  assert.deepEqual(backend.calls[1].args, ["b"]);
+  assert.equal(backend.calls[2].file, undefined);
+  await fs.rm(dir, { recursive: true });
+});
+
+test("scripts that fail to compile run from source", async () => {
+  const { dir, cache } = await tempCache();
+  assert.equal(await cache.resolve("syntax error"), null);
+
+  const backend = new RecordingBackend();
+  await new Osascript({ backend, cache }).executeScript(["syntax error"]);
+  assert.equal(backend.calls[0].file, undefined);
+  assert.deepEqual(await fs.readdir(dir), []);
+  await fs.rm(dir, { recursive: true });
+});
+
+test("the least recently used entries are pruned beyond maxEntries", async () => {
+  const { dir, cache } = await tempCache({ maxEntries: 2 });
+  const first = await cache.resolve("one");
+  await fs.utimes(first, new Date(1000), new Date(1000));
+  const second = await cache.resolve("two");
+  await fs.utimes(second, new Date(2000), new Date(2000));
+  await cache.resolve("one"); // used again: now the newest
+  await cache.resolve("three");
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), [path.basename(first), `${cache.hash("three")}.scpt`].sort());
+  await cache.clear();
+  assert.deepEqual(await fs.readdir(dir), []);
+  await fs.rm(dir, { recursive: true });
+});
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const vm = require("vm");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { pageScript, checkScript, asyncScripts, queries, conditions, decodePageResult, NOT_READY } = require("../apple-script/dom.js");
+const { Osascript } = require("../Osascript");
+const { RecordingBackend } = require("../backends");
+const { OsascriptPageError } = require("../errors");
+
+const HOSTILE = `a[title="it's"]\\"); alert(1); //`;
+
+// runs page JavaScript against a minimal document, the way the browser would
+function inPage(source, document) {
+  return decodePageResult(vm.runInNewContext(source, { document }));
+}
+
+test("queries embed selectors as data and return JSON-decoded values", () => {
+  const seen = [];
+  const link = {
+    tagName: "A", id: "", className: "nav", innerText: 'Say "hi"',
+    attributes: [{ name: "href", value: "/a" }],
+    getAttribute: name => (name === "href" ? "/a" : null)
+  };
+  const document = {
+    querySelector: (selector) => (seen.push(selector), selector === HOSTILE ? link : null),
+    querySelectorAll: (selector) => (seen.push(selector), [link])
+  };
+
+  assert.deepEqual(inPage(pageScript(queries.query(HOSTILE)), document), {
+    tagName: "a", id: null, className: "nav", text: 'Say "hi"', value: null, attributes: { href: "/a" }
+  });
+  assert.equal(inPage(pageScript(queries.queryAll(HOSTILE)), document).length, 1);
+  assert.equal(inPage(pageScript(queries.getAttribute(HOSTILE, "href")), document), "/a");
+  assert.equal(inPage(pageScript(queries.getText("missing")), document), null);
+  assert.equal(inPage(pageScript(queries.exists(HOSTILE)), document), true);
+  assert.ok(seen.every(selector => selector === HOSTILE || selector === "missing"));
+});
+
+test("page exceptions become OsascriptPageError", () => {
+  const document = { querySelector: () => { throw new SyntaxError("not a valid selector"); } };
+  assert.throws(() => inPage(pageScript(queries.exists("[")), document), (err) => {
+    assert.ok(err instanceof OsascriptPageError);
+    assert.equal(err.pageName, "SyntaxError");
+    assert.equal(err.pageMessage, "not a valid selector");
+    assert.match(err.pageStack, /SyntaxError/);
+    return true;
+  });
+  assert.throws(() => pageScript(async () => 1), /dom.evaluate cannot run async functions/);
+});
+
+test("evaluate targets either browser and executeScript decodes the result", async () => {
+  assert.match(AppleScript.dom.evaluate("document.title", { browser: "Safari" }), /^tell application "Safari" to do JavaScript ".*" in front document$/s);
+  assert.match(AppleScript.dom.getTitle(), /^tell application "Google Chrome" to execute front window's active tab javascript /);
+
+  const backend = new RecordingBackend({ respond: (request) => `${vm.runInNewContext(JSON.parse(request.script.match(/javascript (".*")$/s)[1]))}\n` });
+  const script = new Osascript({ backend, logger: "silent" });
+  assert.deepEqual(await script.executeScript([AppleScript.dom.evaluate((a, b) => [a, b], { args: ["x", { y: 1 }] })]), ["x", { y: 1 }]);
+  await assert.rejects(script.executeScript([AppleScript.dom.evaluate("missing.value")]), { name: "OsascriptPageError", pageName: "ReferenceError" });
+});
+
+test("wait conditions answer true, false or the page error", () => {
+  const shown = { offsetWidth: 10, offsetHeight: 0, getClientRects: () => [] };
+  const page = (readyState, el) => ({
+    document: { readyState, querySelector: (selector) => (selector === HOSTILE ? el : null) },
+    getComputedStyle: () => ({ visibility: "visible" }),
+    window: {}
+  });
+  const check = (condition, context) => vm.runInNewContext(checkScript(condition), context);
+
+  assert.equal(check(conditions.selector(HOSTILE), page("complete", {})), "true");
+  assert.equal(check(conditions.selector(HOSTILE, true), page("complete", { offsetWidth: 0, offsetHeight: 0, getClientRects: () => [] })), "false");
+  assert.equal(check(conditions.selector(HOSTILE, true), page("complete", shown)), "true");
+  assert.equal(check(conditions.loadState("interactive"), page("loading")), "false");
+  assert.equal(check(conditions.loadState("interactive"), page("complete")), "true");
+  assert.equal(check(conditions.navigation(), { ...page("complete"), window: { __appleJsNavigation: true } }), "false");
+  assert.equal(check("missing.value", page("complete")), "error:ReferenceError: missing is not defined");
+  assert.throws(() => conditions.loadState("done"), /Unknown load state/);
+});
+
+test("waits poll against a deadline and fail with a timeout error", () => {
+  const wait = AppleScript.dom.waitForSelector("#save", { visible: true, timeout: 2500, interval: 250, browser: "Safari" });
+  assert.match(wait, /^set __waitDeadline to \(current date\) \+ 3\nset __waitLastError to ""\nrepeat while true\n/);
+  assert.match(wait, /tell application "Safari" to set __waitState to \(do JavaScript ".*" in front document\) as text/);
+  assert.match(wait, /error "Timed out after 2500 ms waiting for visible selector \\"#save\\"" & __waitLastError number -1712/);
+  assert.match(wait, /\tdelay 0\.25\n/);
+
+  const navigation = AppleScript.dom.waitForNavigation({ trigger: AppleScript.dom.click("a.next") });
+  const lines = navigation.split("\n");
+  assert.match(lines[1], /window\.__appleJsNavigation = true/);
+  assert.match(lines[3], /a\.next/);
+  assert.match(navigation, /waiting for navigation" & __waitLastError number -1712/);
+  assert.throws(() => AppleScript.dom.waitForLoadState("complete", { timeout: 0 }), TypeError);
+});
+
+test("waits retry only the errors of a tab that is not ready, and name the last one on timeout", () => {
+  const wait = AppleScript.dom.waitForLoadState("complete");
+  assert.deepEqual(NOT_READY, [-1728, -1719, -1712]);
+  assert.ok(!NOT_READY.includes(-1743) && !NOT_READY.includes(-128));
+  assert.match(wait, /\ton error __waitError number __waitErrorNumber\n\t\tif __waitErrorNumber is not in \{-1728, -1719, -1712\} then\n\t\t\terror __waitError number __waitErrorNumber\n\t\tend if\n/);
+  assert.match(wait, /\t\tset __waitLastError to " \(last error: " & __waitError & "\)"\n\tend try\n/);
+  assert.match(wait, /error "Timed out after 10000 ms waiting for load state \\"complete\\"" & __waitLastError number -1712/);
+});
+
+test("runAsync stores the settled value or exception under its own key until collected", async () => {
+  const window = {};
+  const context = vm.createContext({ window, Promise, setTimeout });
+  const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+  const fulfilled = asyncScripts(async (a, b) => ({ sum: a + b }), [1, 2]);
+  const rejected = asyncScripts(async () => { throw new TypeError("fetch failed"); }, []);
+  const first = vm.runInContext(fulfilled.start, context);
+  const second = vm.runInContext(rejected.start, context);
+  assert.match(first, /^__appleJsAsync_[0-9a-z]+$/);
+  assert.notEqual(first, second);
+  assert.equal(vm.runInContext(fulfilled.collect(first), context), "");
+
+  await settle();
+  assert.deepEqual(decodePageResult(vm.runInContext(fulfilled.collect(first), context)), { sum: 3 });
+  assert.equal(vm.runInContext(fulfilled.collect(first), context), "");
+  assert.throws(() => decodePageResult(vm.runInContext(rejected.collect(second), context)), (err) => {
+    assert.ok(err instanceof OsascriptPageError);
+    assert.equal(err.pageMessage, "fetch failed");
+    assert.match(err.pageStack, /TypeError: fetch failed/);
+    return true;
+  });
+  assert.deepEqual(Object.keys(window), []);
+});
+
+test("runAsync scripts are the same on every run and leave the value as the result", () => {
+  const first = AppleScript.dom.runAsync(async () => 1);
+  assert.equal(first, AppleScript.dom.runAsync(async () => 1));
+  assert.match(first, /^tell application "Google Chrome" to set __asyncKey to \(execute .*\) as text\n/s);
+  assert.match(first, /javascript \(".*\(\\"" & __asyncKey & "\\"\)"\)\) as text/);
+  assert.match(first, /waiting for the page's promise to settle" & __waitLastError number -1712/);
+  assert.match(first, /\nend if\n__waitState$/);
+  assert.throws(() => AppleScript.dom.evaluate(async () => 1), /dom.evaluate cannot run async functions/);
+});
+
+test("a rejected runAsync promise fails the script at its step, not only as the last step", async () => {
+  const step = AppleScript.dom.runAsync(async () => { throw new TypeError("fetch failed"); });
+  assert.match(step, /\nend repeat\nif __waitState starts with "__apple-js-page__:\{\\"error\\":" then\n\terror __waitState number -2700\nend if\n__waitState$/);
+
+  const encoded = '__apple-js-page__:{"error":{"name":"TypeError","message":"fetch failed (-1)","stack":"TypeError: fetch failed"}}';
+  const backend = new RecordingBackend({ responses: [{ code: 1, stderr: `0:20: execution error: ${encoded} (-2700)\n` }] });
+  const err = await new Osascript({ backend, logger: "silent" }).executeScript([step, AppleScript.dom.click("#next")]).catch(e => e);
+  assert.ok(err instanceof OsascriptPageError);
+  assert.equal(err.pageName, "TypeError");
+  assert.equal(err.pageMessage, "fetch failed (-1)");
+  assert.equal(err.pageStack, "TypeError: fetch failed");
+  assert.equal(err.step.index, 0);
+  assert.equal(err.step.name, "dom.runAsync");
+});
+
+test("script arguments are rejected rather than embedded in page JavaScript", () => {
+  const { arg } = AppleScript;
+  assert.throws(() => AppleScript.dom.click(arg(0)), /Cannot embed the AppleScript value __arg0 in page JavaScript/);
+  assert.throws(() => AppleScript.dom.type("#q", arg(1)), /__arg1/);
+  assert.throws(() => AppleScript.dom.scrollBy(0, arg(0)), /__arg0/);
+  assert.throws(() => AppleScript.dom.evaluate((x) => x, { args: [{ nested: arg(0) }] }), /__arg0/);
+  assert.throws(() => AppleScript.dom.waitForSelector(arg(0)), /__arg0/);
+});
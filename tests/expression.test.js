@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { expr: x } = require("../apple-script/expression.js");
+
+test("comparisons quote literal operands", () => {
+  assert.equal(String(x.eq(x.prop("button returned", x.var("result")), "OK")), 'button returned of result is "OK"');
+  assert.equal(String(x.ne(x.var("n"), 3)), "n is not 3");
+  assert.equal(String(x.contains(x.var("title"), 'say "hi"\nbye')), 'title contains "say \\"hi\\"\\nbye"');
+  assert.equal(String(x.startsWith(x.var("u"), "https")), 'u starts with "https"');
+  assert.equal(String(x.eq(x.var("v"), null)), "v is missing value");
+  assert.equal(String(x.contains(["a", 1], "a")), '{"a", 1} contains "a"');
+});
+
+test("boolean operators parenthesise only where precedence needs it", () => {
+  const ready = x.prop("frontmost", x.app("Music"));
+  assert.equal(String(x.not(ready)), 'not frontmost of application "Music"');
+  assert.equal(String(x.not(x.eq(x.var("a"), 1))), "not (a is 1)");
+  assert.equal(
+    String(x.or(x.and(x.gt(x.var("n"), 1), x.lt(x.var("n"), 5)), x.eq(x.var("n"), 0))),
+    "n > 1 and n < 5 or n is 0"
+  );
+  assert.equal(String(x.and(x.or(x.var("a"), x.var("b")), x.var("c"))), "(a or b) and c");
+});
+
+test("names are validated and expressions plug into builders", () => {
+  assert.throws(() => x.var('x" then do shell script "rm'), TypeError);
+  assert.equal(String(x.var("|odd name|")), "|odd name|");
+  assert.equal(
+    AppleScript.repeatWhile(x.not(x.prop("frontmost", x.app("Music"))), [AppleScript.delay(0.1)]),
+    'repeat while not frontmost of application "Music"\n\tdelay 0.1\nend repeat'
+  );
+  assert.equal(AppleScript.code`if ${x.gt(x.var("n"), 2)} then beep`, "if n > 2 then beep");
+});
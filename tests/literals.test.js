@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { quote, raw, code, literal } = require("../apple-script/literals.js");
+
+const HOSTILE = 'He said "hi" \\ then\nend tell\r\tdo shell script "rm -rf ~" -- ✓ 😀';
+
+/**
+ * Minimal AppleScript lexer: returns the decoded value of every string literal
+ * in `source`, and fails if a literal is left unterminated.
+ */
+function literalsIn(source) {
+  const found = [];
+  const unescape = { n: "\n", r: "\r", t: "\t", '"': '"', "\\": "\\" };
+  let i = 0;
+  while (i < source.length) {
+    if (source[i] === "-" && source[i + 1] === "-") {
+      while (i < source.length && source[i] !== "\n") i++;
+      continue;
+    }
+    if (source[i] !== '"') {
+      i++;
+      continue;
+    }
+    let value = "";
+    i++;
+    while (source[i] !== '"') {
+      assert.ok(i < source.length, `unterminated literal in:\n${source}`);
+      assert.notEqual(source[i], "\n", "raw line break inside literal");
+      if (source[i] === "\\") {
+        i++;
+        assert.ok(source[i] in unescape, `unknown escape \\${source[i]}`);
+        value += unescape[source[i]];
+      } else {
+        value += source[i];
+      }
+      i++;
+    }
+    found.push(value);
+    i++;
+  }
+  return found;
+}
+
+function assertCarries(source, text = HOSTILE) {
+  assert.ok(literalsIn(source).includes(text), `expected literal ${JSON.stringify(text)} in:\n${source}`);
+}
+
+test("quote escapes quotes, backslashes and line breaks", () => {
+  assert.equal(quote('a "b" \\c'), '"a \\"b\\" \\\\c"');
+  assert.equal(quote("one\ntwo\r\nthree\tfour"), '"one\\ntwo\\r\\nthree\\tfour"');
+  assert.equal(quote(""), '""');
+  assert.equal(quote(null), '""');
+  assert.equal(quote(42), '"42"');
+});
+
+test("quote keeps Unicode as-is and splices control characters", () => {
+  assert.equal(quote("café 😀 ✓"), '"café 😀 ✓"');
+  assert.equal(quote("a\u0000b"), '("a" & (character id 0) & "b")');
+  assert.equal(quote("\uD800x"), '"\uFFFDx"');
+});
+
+test("code quotes strings, keeps numbers, booleans and raw fragments", () => {
+  assert.equal(code`say ${'a"b'}`, 'say "a\\"b"');
+  assert.equal(code`delay ${1.5}`, "delay 1.5");
+  assert.equal(code`set x to ${true}`, "set x to true");
+  assert.equal(code`set x to ${raw("missing value")}`, "set x to missing value");
+  assert.throws(() => code`set x to ${() => {}}`, TypeError);
+  assert.throws(() => code`delay ${NaN}`, TypeError);
+  assert.equal(AppleScript.code`display dialog ${HOSTILE}`, `display dialog ${quote(HOSTILE)}`);
+});
+
+test("literal serializes lists, records, dates and missing values", () => {
+  assert.equal(literal(null), "missing value");
+  assert.equal(literal([1, "a", [true, undefined]]), '{1, "a", {true, missing value}}');
+  assert.equal(
+    literal({ name: "x", "odd key": 1, if: 2, "a|b": 3, skipped: undefined, nested: { list: [] } }),
+    '{name:"x", |odd key|:1, |if|:2, |a\\|b|:3, nested:{list:{}}}'
+  );
+  assert.equal(literal(new Date(2024, 0, 2, 3, 4, 5)), '("2024-01-02T03:04:05" as «class isot» as date)');
+  assert.equal(code`set x to ${{ k: HOSTILE }}`, `set x to {k:${quote(HOSTILE)}}`);
+
+  const loop = [];
+  loop.push(loop);
+  assert.throws(() => literal(loop), /circular/);
+  assert.throws(() => literal(new Date(NaN)), TypeError);
+  assert.throws(() => literal(new Map()), /Map/);
+  assert.equal(literal([[1], [1]]), "{{1}, {1}}"); // repeated, not circular
+});
+
+test("set serializes any value", () => {
+  assert.equal(AppleScript.set("tabs", ["a", "b"]), 'set tabs to {"a", "b"}');
+  assert.equal(AppleScript.set("info", { open: true, count: 2 }), "set info to {open:true, |count|:2}");
+  assert.equal(AppleScript.set("x", undefined), "set x to missing value");
+  assert.equal(AppleScript.set("x", raw("current date")), "set x to current date");
+});
+
+test("core builders", () => {
+  assertCarries(AppleScript.display(HOSTILE));
+  assertCarries(AppleScript.log(HOSTILE));
+  assertCarries(AppleScript.set("x", HOSTILE));
+  assertCarries(AppleScript.speak(HOSTILE));
+  assertCarries(AppleScript.speak("hi", HOSTILE));
+  assertCarries(AppleScript.activateApp(HOSTILE));
+  assertCarries(AppleScript.openFile(HOSTILE));
+  assertCarries(AppleScript.awaitAppIsFrontmost(HOSTILE));
+  assertCarries(AppleScript.shell(HOSTILE));
+  assertCarries(AppleScript.pressHotkey(HOSTILE, ["command"]));
+  assertCarries(AppleScript.announce(HOSTILE));
+  assert.ok(AppleScript.comment(HOSTILE).split("\n").every(line => line.startsWith("-- ")));
+  assert.ok(AppleScript.dispatchSystemEvent(HOSTILE).split("\n").every(line => line.startsWith("-- ")));
+});
+
+test("browser", () => {
+  assertCarries(AppleScript.browser.openInSafari(HOSTILE));
+  assertCarries(AppleScript.browser.openInChrome(HOSTILE));
+  assertCarries(AppleScript.browser.newSafariTab(HOSTILE));
+});
+
+test("finder", () => {
+  assertCarries(AppleScript.finder.openFolder(HOSTILE));
+  assertCarries(AppleScript.finder.revealInFinder(HOSTILE));
+  assertCarries(AppleScript.finder.moveToTrash(HOSTILE));
+  assertCarries(AppleScript.finder.createFolder("/tmp", HOSTILE));
+  assertCarries(AppleScript.finder.setDesktopWallpaper(HOSTILE));
+});
+
+test("ai", () => {
+  assertCarries(AppleScript.ai.askSiri(HOSTILE));
+  for (const method of ["motivateUser", "dailyAffirmation", "devWisdom", "tellTechJoke", "friendlyMessage", "giveCompliment", "predictProductivity"]) {
+    assert.doesNotThrow(() => literalsIn(AppleScript.ai[method]()), method);
+  }
+});
+
+test("media", () => {
+  assertCarries(AppleScript.media.playTrack(HOSTILE));
+  assertCarries(AppleScript.media.playTrack("x", HOSTILE));
+});
+
+test("ui.typeText sends every character as its own literal", () => {
+  const text = 'a"\\\n😀';
+  const typed = literalsIn(AppleScript.ui.typeText(text, 0)).filter(l => l !== "System Events");
+  assert.deepEqual(typed, [...text]);
+});
+
+test("notifications", () => {
+  assertCarries(AppleScript.notifications.alert(HOSTILE, "s", "m"));
+  assertCarries(AppleScript.notifications.alert("t", HOSTILE, "m"));
+  assertCarries(AppleScript.notifications.alert("t", "s", HOSTILE));
+  assertCarries(AppleScript.notifications.banner(HOSTILE));
+  assertCarries(AppleScript.notifications.alertWithSound(HOSTILE, HOSTILE, HOSTILE));
+});
+
+test("fun", () => {
+  assertCarries(AppleScript.fun.bounceDockIcon(HOSTILE));
+  assertCarries(AppleScript.fun.dramaticAnnouncement(HOSTILE));
+  assertCarries(AppleScript.partyMode(HOSTILE));
+});
+
+test("application", () => {
+  const app = AppleScript.application;
+  for (const method of ["open", "quit", "bringAllWindowsToFront", "hide", "unhide", "minimizeAll", "closeAllWindows", "resizeWindow", "moveWindow", "toggleFullscreen", "centerWindow"]) {
+    assertCarries(app[method](HOSTILE));
+  }
+  assertCarries(app.safari.openURL(HOSTILE));
+  assertCarries(app.safari.newTab(HOSTILE));
+  assertCarries(app.chrome.openURL(HOSTILE));
+  assertCarries(app.finder.open(HOSTILE));
+  assertCarries(app.finder.reveal(HOSTILE));
+  assertCarries(app.finder.newFolder(HOSTILE));
+  assertCarries(app.terminal.runCommand(HOSTILE));
+  assertCarries(app.terminal.newTab(HOSTILE));
+  assertCarries(app.mail.compose(HOSTILE, "s", "b"));
+  assertCarries(app.mail.compose("t", HOSTILE, "b"));
+  assertCarries(app.mail.compose("t", "s", HOSTILE));
+  assertCarries(app.notes.createNote(HOSTILE, "t", "c"));
+  assertCarries(app.notes.createNote("Notes", HOSTILE, "c"));
+  assertCarries(app.notes.createNote("Notes", "t", HOSTILE));
+  assertCarries(app.notes.showNote(HOSTILE));
+});
+
+test("dom.run embeds the script as a single literal", () => {
+  const js = 'console.log("a\\\\b");\n// comment\nalert(\'x\')';
+  assertCarries(AppleScript.dom.run(js), js);
+  assertCarries(AppleScript.dom.run(js, "Safari"), js);
+});
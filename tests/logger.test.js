@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Logger } = require("../Logger");
+const { Osascript } = require("../Osascript");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { RecordingBackend } = require("../backends");
+
+function recording(level, responses) {
+  const entries = [];
+  const script = new Osascript({ backend: new RecordingBackend({ responses }), logger: { level, sink: entry => entries.push(entry) } });
+  return { script, entries };
+}
+
+test("levels decide which entries reach the sink", async () => {
+  const silent = recording("silent", [{ code: 1, stderr: "boom" }]);
+  await silent.script.executeScript(["x"]).catch(() => {});
+  assert.deepEqual(silent.entries, []);
+
+  const info = recording("info", ["ok\n", { code: 1, stderr: "boom" }]);
+  await info.script.executeScript([AppleScript.display("hi"), "x"]);
+  await info.script.executeScript(["x"]).catch(() => {});
+  assert.deepEqual(info.entries.map(entry => [entry.level, entry.message]), [["info", "Script finished"], ["error", "Script failed"]]);
+  assert.equal(info.entries[0].id, 1);
+  assert.deepEqual(info.entries[0].steps, ["display", null]);
+  assert.equal(typeof info.entries[0].duration, "number");
+  assert.equal(info.entries[1].id, 2);
+  assert.equal(info.entries[1].error, "boom");
+});
+
+test("typed text, clipboard contents and secrets are redacted", async () => {
+  const { script, entries } = recording("debug", [{ stdout: "hunter2\n", stderr: "saw hunter2\n" }, "clip text\n"]);
+  await script.executeScript([
+    AppleScript.ui.typeText("abc", 0),
+    AppleScript.copyToClipboard("copied"),
+    'display dialog "say \\"hunter2\\""'
+  ], { secrets: ['say "hunter2"', "hunter2"] });
+  await script.executeScript(["the clipboard"]);
+
+  const logged = JSON.stringify(entries);
+  for (const secret of ["abc", "copied", "hunter2", "clip text"]) assert.ok(!logged.includes(secret), secret);
+  assert.match(entries[0].script, /keystroke "\*\*\*"/);
+  assert.match(entries[0].script, /display dialog "\*\*\*"/);
+});
+
+test("typed page values are masked wherever the step sits in the script", async () => {
+  const type = AppleScript.dom.type("#pw", "hunter2");
+  const start = `${AppleScript.delay(1)}\n`.length;
+  const { script, entries } = recording("debug", ["", "", { code: 1, stderr: `${start}:${start + 4}: execution error: Can’t get window 1. (-1728)` }]);
+
+  await script.executeScript([AppleScript.delay(1), type]);
+  await script.executeScript([type], { args: ["x"] });
+  const failure = await script.executeScript([AppleScript.delay(1), type, "beep"]).catch(e => e);
+  assert.match(failure.message, /hunter2/); // the caller still sees the real step
+
+  const logged = JSON.stringify(entries);
+  assert.ok(!logged.includes("hunter2"));
+  const running = entries.filter(entry => entry.message === "Running script");
+  assert.match(running[0].script, /^delay 1\ntell application "\*\*\*" to execute .* javascript "\*\*\*"$/);
+  assert.match(running[1].script, /^on run argv\nset __arg0 to item 1 of argv\n.*"\*\*\*"\nend run$/);
+  const failed = entries.find(entry => entry.message === "Script failed");
+  assert.match(failed.error, /at step 1 \(dom\.type\)\n  1 \| delay 1\n> 2 \| tell application .* javascript "\*\*\*"\n +\| +\^{4}\n  3 \| beep$/);
+});
+
+test("custom redact rules apply to every logged string", () => {
+  const logger = new Logger({ redact: [/token=\w+/, text => text.replace("internal", "[host]")] });
+  assert.equal(logger.redact("GET internal?token=abc&x=1"), "GET [host]?***&x=1");
+  assert.throws(() => new Logger({ level: "verbose" }), TypeError);
+});
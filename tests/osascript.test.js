@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Osascript } = require("../Osascript");
+const { RecordingBackend } = require("../backends");
+const { OsascriptError, OsascriptTimeoutError, OsascriptAbortError } = require("../errors");
+
+test("executeScript hands the joined script to the backend", async () => {
+  const backend = new RecordingBackend({ responses: ["Safari\n"] });
+  const script = new Osascript({ backend });
+
+  const out = await script.executeScript([
+    script.appleCommands.activateApp("Safari"),
+    script.appleCommands.getFrontmostApp()
+  ]);
+
+  assert.equal(out, "Safari\n");
+  assert.deepEqual(backend.scripts, [
+    'tell application "Safari" to activate\n' +
+    'tell application "System Events" to get name of first application process whose frontmost is true'
+  ]);
+  assert.deepEqual(backend.calls[0].flags, []);
+});
+
+test("parse mode asks for source-form output and converts it", async () => {
+  const backend = new RecordingBackend({ respond: () => '{"a", true}\n' });
+  const script = new Osascript({ backend });
+
+  assert.deepEqual(await script.executeSingleCommand("x", { parse: true }), ["a", true]);
+  assert.deepEqual(backend.calls[0].flags, ["-s", "s"]);
+});
+
+test("non-zero exit codes reject with stderr", async () => {
+  const backend = new RecordingBackend({ responses: [{ code: 1, stderr: "boom\n" }] });
+  const script = new Osascript({ backend });
+
+  await assert.rejects(script.executeScript(["x"]), { name: "OsascriptError", message: "boom", exitCode: 1 });
+});
+
+test("AppleScript error reports are parsed into OsascriptError fields", async () => {
+  const stderr = "12:40: execution error: Finder got an error: Can’t get folder \"x\". (-1728)\n";
+  const script = new Osascript({ backend: new RecordingBackend({ responses: [{ code: 1, stderr }] }) });
+
+  const err = await script.executeScript(["x"]).catch(e => e);
+  assert.ok(err instanceof OsascriptError);
+  assert.equal(err.number, -1728);
+  assert.equal(err.code, "CANT_GET_OBJECT");
+  assert.equal(err.kind, "execution");
+  assert.deepEqual(err.range, { start: 12, end: 40 });
+  assert.equal(err.application, "Finder");
+  assert.equal(err.object, 'folder "x"');
+
+  const cancelled = new OsascriptError({ code: 1, stderr: "0:9: execution error: User canceled. (-128)" });
+  assert.equal(cancelled.code, "USER_CANCELLED");
+
+  const multiline = new OsascriptError({ code: 1, stderr: "0:10: execution error: first line\nsecond line (-1712)\n" });
+  assert.equal(multiline.number, -1712);
+  assert.equal(multiline.briefMessage, "first line\nsecond line");
+  assert.deepEqual(multiline.range, { start: 0, end: 10 });
+});
+
+test("log output streams to onLog and log events without failing the call", async () => {
+  const backend = new RecordingBackend({
+    respond: (request) => {
+      request.onStderr("step 1\nst");
+      request.onStderr("ep 2\n");
+      return "done\n";
+    }
+  });
+  const script = new Osascript({ backend });
+  const lines = [];
+  const events = [];
+  script.on("log", line => events.push(line));
+
+  assert.equal(await script.executeScript(['log "step 1"', 'log "step 2"'], { onLog: line => lines.push(line) }), "done\n");
+  assert.deepEqual(lines, ["step 1", "step 2"]);
+  assert.deepEqual(events, ["step 1", "step 2"]);
+});
+
+test("the error report is told apart from log lines before it", async () => {
+  const stderr = 'progress\n0:9: execution error: The variable x is not defined. (-2753)\n';
+  const script = new Osascript({ backend: new RecordingBackend({ responses: [{ code: 1, stderr }] }) });
+  const lines = [];
+
+  const err = await script.executeScript(["x"], { onLog: line => lines.push(line) }).catch(e => e);
+  assert.deepEqual(lines, ["progress"]);
+  assert.equal(err.number, -2753);
+  assert.equal(err.stderr, "0:9: execution error: The variable x is not defined. (-2753)\n");
+});
+
+test("a closed executor refuses new work", async () => {
+  const script = new Osascript({ backend: new RecordingBackend() });
+  script.close();
+  await assert.rejects(script.executeScript(["x"]));
+});
+
+test("timeout rejects with OsascriptTimeoutError and leaves other calls running", async () => {
+  const backend = new RecordingBackend({
+    respond: ({ script }) => script === "slow" ? new Promise(() => {}) : "fast\n"
+  });
+  const script = new Osascript({ backend });
+
+  await assert.rejects(script.executeScript(["slow"], { timeout: 20 }), OsascriptTimeoutError);
+  assert.equal(await script.executeScript(["fast"]), "fast\n");
+});
+
+test("an AbortSignal cancels the call with OsascriptAbortError", async () => {
+  const script = new Osascript({ backend: new RecordingBackend({ respond: () => new Promise(() => {}) }) });
+  const controller = new AbortController();
+
+  const pending = script.executeScript(["slow"], { signal: controller.signal });
+  controller.abort("user");
+  await assert.rejects(pending, (err) => err instanceof OsascriptAbortError && err.reason === "user");
+
+  await assert.rejects(script.executeScript(["x"], { signal: AbortSignal.abort() }), OsascriptAbortError);
+
+  // the timeout of a call that never started is not left armed
+  const timers = () => process.getActiveResourcesInfo().filter(type => type === "Timeout").length;
+  const before = timers();
+  await assert.rejects(script.executeScript(["x"], { timeout: 3000, signal: AbortSignal.abort() }), OsascriptAbortError);
+  assert.equal(timers(), before);
+});
+
+test("script errors name the step and builder that produced the faulty range", async () => {
+  const { AppleScript } = require("../apple-script/Apple.js");
+  const steps = [
+    AppleScript.speak("hi"),
+    AppleScript.browser.openInChrome("https://example.com"),
+    AppleScript.delay(1)
+  ];
+  const start = steps.join("\n").indexOf("make new tab");
+  const stderr = `${start}:${start + 12}: execution error: Google Chrome got an error: Can’t make tab. (-1728)`;
+  const script = new Osascript({ backend: new RecordingBackend({ responses: [{ code: 1, stderr }] }) });
+
+  const err = await script.executeScript(steps).catch(e => e);
+  assert.equal(err.step.index, 1);
+  assert.equal(err.step.name, "browser.openInChrome");
+  assert.match(err.snippet, />\s+\d+ \|.*make new tab/);
+  assert.match(err.message, /at step 1 \(browser\.openInChrome\)/);
+});
+
+test("executeJXA runs the function under -l JavaScript and decodes its JSON result", async () => {
+  const backend = new RecordingBackend({ responses: ['{"ok":true,"args":["a b",2]}\n', "\n"] });
+  const script = new Osascript({ backend });
+
+  const out = await script.executeJXA((text, n) => ({ ok: true, args: [text, n] }), "a b", 2);
+  assert.deepEqual(out, { ok: true, args: ["a b", 2] });
+  assert.deepEqual(backend.calls[0].flags, ["-l", "JavaScript"]);
+  assert.match(backend.scripts[0], /fn\(\.\.\.\["a b",2\]\)/);
+  assert.match(backend.scripts[0], /JSON\.stringify/);
+
+  assert.equal(await script.executeJXA(script.jxaCommands.finder.revealInFinder, "/tmp"), null);
+  assert.match(backend.scripts[1], /^\tconst fn = \(function revealInFinder\(path\)/m);
+});
+
+test("capture reads variables back as native values, reporting errors per name", async () => {
+  const backend = new RecordingBackend({
+    responses: [
+      '{{true, "Safari"}, {true, 87}}',
+      '{{true, "Safari"}, {false, "The variable battery is not defined.", -2753}}'
+    ]
+  });
+  const script = new Osascript({ backend });
+  const lines = ['set frontApp to "Safari"', "set battery to 87"];
+
+  assert.deepEqual(await script.executeScript(lines, { capture: ["frontApp", "battery"] }), { frontApp: "Safari", battery: 87 });
+  assert.deepEqual(backend.calls[0].flags, ["-s", "s"]);
+  assert.match(backend.scripts[0], /^set battery to 87\nset __osascriptCapture to \{\}\ntry\n\tset end of __osascriptCapture to \{true, frontApp\}/m);
+  assert.match(backend.scripts[0], /\nreturn __osascriptCapture$/);
+
+  const err = await script.executeScript(lines, { capture: ["frontApp", "battery"] }).catch(e => e);
+  assert.equal(err.name, "OsascriptCaptureError");
+  assert.deepEqual(err.values, { frontApp: "Safari" });
+  assert.equal(err.errors.battery.code, "VARIABLE_NOT_DEFINED");
+  assert.match(err.message, /battery \(The variable battery is not defined\.\)/);
+
+  await assert.rejects(script.executeScript(lines, { capture: ['x" & (do shell script "id")'] }), TypeError);
+
+  for (const returned of ['"abc"', "42", '{"a", "b"}']) {
+    backend.respond(returned);
+    await assert.rejects(script.executeScript(['return "abc"'], { capture: ["a", "b"] }), (err) => {
+      assert.equal(err.name, "OsascriptCaptureError");
+      assert.match(err.message, /^Capture skipped by return/);
+      assert.deepEqual(Object.keys(err.errors), ["a", "b"]);
+      return true;
+    });
+  }
+});
+
+test("args travel as argv and are read back with their types", async () => {
+  const { AppleScript } = require("../apple-script/Apple.js");
+  const backend = new RecordingBackend();
+  const script = new Osascript({ backend });
+  const hostile = 'x" & (do shell script "id") & "';
+
+  await script.executeScript(
+    [AppleScript.display(AppleScript.arg(0)), AppleScript.delay(AppleScript.arg(1))],
+    { args: [hostile, 1.5, 3, true, new Date(2024, 0, 2, 3, 4, 5), null] }
+  );
+
+  assert.deepEqual(backend.calls[0].args, [hostile, "1.5", "3", "true", "2024-01-02T03:04:05", ""]);
+  assert.equal(backend.scripts[0], [
+    "on run argv",
+    "set __arg0 to item 1 of argv",
+    "set __arg1 to run script (item 2 of argv)",
+    "set __arg2 to (item 3 of argv) as integer",
+    'set __arg3 to (item 4 of argv) is "true"',
+    "set __arg4 to (item 5 of argv) as «class isot» as date",
+    "set __arg5 to missing value",
+    "display dialog __arg0",
+    "delay __arg1",
+    "end run"
+  ].join("\n"));
+  assert.ok(!backend.scripts[0].includes("do shell script"));
+
+  await assert.rejects(script.executeScript(["beep"], { args: [{}] }), TypeError);
+});
+
+test("errors inside an args script still name the caller's step", async () => {
+  const steps = ["beep", "boom"];
+  const backend = new RecordingBackend({
+    respond: ({ script }) => {
+      const start = script.indexOf("boom");
+      return { code: 1, stderr: `${start}:${start + 4}: execution error: nope (-2753)` };
+    }
+  });
+  const err = await new Osascript({ backend }).executeScript(steps, { args: ["a"] }).catch(e => e);
+  assert.equal(err.step.index, 1);
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseResult, AppleScriptParseError } = require("../apple-script/parse.js");
+
+test("primitives", () => {
+  assert.equal(parseResult("true\n"), true);
+  assert.equal(parseResult("false"), false);
+  assert.equal(parseResult("42"), 42);
+  assert.equal(parseResult("-3.5E+2"), -350);
+  assert.equal(parseResult("missing value"), null);
+  assert.equal(parseResult('"He said \\"hi\\" \\\\ bye"'), 'He said "hi" \\ bye');
+  assert.equal(parseResult(""), undefined);
+});
+
+test("lists and records, nested", () => {
+  assert.deepEqual(parseResult('{"a, b", "c"}'), ["a, b", "c"]);
+  assert.deepEqual(parseResult("{}"), []);
+  assert.deepEqual(parseResult("{{1, 2}, {3}}"), [[1, 2], [3]]);
+  assert.deepEqual(
+    parseResult('{name:"x", |odd key|:missing value, file type:{1, true}}'),
+    { name: "x", "odd key": null, "file type": [1, true] }
+  );
+  assert.deepEqual(parseResult("{|a\\|b|:1}"), { "a|b": 1 });
+});
+
+test("dates and object specifiers", () => {
+  const date = parseResult('date "Monday, January 1, 2024 at 10:00:00 AM"');
+  assert.ok(date instanceof Date);
+  assert.equal(date.getFullYear(), 2024);
+  assert.deepEqual(
+    parseResult('{application "Finder", window id 12 of application "Safari"}'),
+    ['application "Finder"', 'window id 12 of application "Safari"']
+  );
+});
+
+test("malformed output throws AppleScriptParseError", () => {
+  assert.throws(() => parseResult("{1, 2"), AppleScriptParseError);
+  assert.throws(() => parseResult('"open'), AppleScriptParseError);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Osascript } = require("../Osascript");
+const { RecordingBackend } = require("../backends");
+const { AppleScript } = require("../apple-script/Apple.js");
+
+test("variables and handlers from one call are restored in the next", async () => {
+  const backend = new RecordingBackend({
+    responses: [
+      "{{}, {{true, 1}}}",
+      '{{2}, {{true, 2}, {true, window 1 of application "Safari"}}}',
+      "{{}, {{true, 2}, {true, window 1 of application \"Safari\"}}}"
+    ]
+  });
+  const session = new Osascript({ backend }).session();
+
+  assert.equal(await session.executeScript([
+    "set counter to 1",
+    AppleScript.handler("double", ["x"], (body) => body.return("x * 2"))
+  ]), undefined);
+  assert.deepEqual(backend.calls[0].flags, ["-s", "s"]);
+  assert.deepEqual(session.handlers, ["double"]);
+
+  assert.equal(await session.executeScript([
+    "set counter to double(counter)",
+    'tell application "Safari" to set win to window 1',
+    "counter"
+  ]), 2);
+  assert.match(backend.scripts[1], /^on double\(x\)\n\treturn x \* 2\nend double\nset counter to 1\nset counter to double\(counter\)/);
+  assert.deepEqual(session.variables, { counter: 2, win: 'window 1 of application "Safari"' });
+
+  await session.executeScript(["beep"]);
+  assert.match(backend.scripts[2], /\nset win to window 1 of application "Safari"\n/);
+});
+
+test("errors map to the caller's steps, and failed calls keep the old state", async () => {
+  const backend = new RecordingBackend({
+    respond: ({ script }) => {
+      const start = script.lastIndexOf("boom");
+      if (start === -1) return "{{}, {{true, 1}}}";
+      return { code: 1, stderr: `${start}:${start + 4}: execution error: The variable boom is not defined. (-2753)` };
+    }
+  });
+  const session = new Osascript({ backend }).session();
+  await session.executeScript(["set n to 1"]);
+
+  const err = await session.executeScript(["beep", "set n to 2", "boom"]).catch(e => e);
+  assert.equal(err.step.index, 2);
+  assert.deepEqual(session.variables, { n: 1 });
+});
+
+test("a top-level return is rejected instead of being read as the session state", async () => {
+  const backend = new RecordingBackend({ responses: ["{{}, {{true, 1}}}", '"hello"', "42", '{"a", "b"}'] });
+  const session = new Osascript({ backend }).session();
+  await session.executeScript(["set n to 1"]);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(session.executeScript(["set n to 2", 'return "hello"']), /cannot use a top-level return/);
+    assert.deepEqual(session.variables, { n: 1 });
+  }
+});
+
+test("capture, reset and dispose", async () => {
+  const backend = new RecordingBackend({ respond: () => '{{}, {{true, "x"}, {false, "The variable b is not defined.", -2753}}}' });
+  const session = new Osascript({ backend }).session();
+
+  const err = await session.executeScript(['set a to "x"'], { capture: ["a", "b"] }).catch(e => e);
+  assert.equal(err.name, "OsascriptCaptureError");
+  assert.deepEqual(err.values, { a: "x" });
+  assert.deepEqual(session.variables, { a: "x" });
+
+  session.reset();
+  assert.deepEqual(session.variables, {});
+
+  await session.dispose();
+  await assert.rejects(session.executeScript(["beep"]), { name: "OsascriptClosedError" });
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("node:child_process");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { quote } = require("../apple-script/literals.js");
+const { shellQuote, shellCommand, sh, doShellScript } = require("../apple-script/shell.js");
+
+const HOSTILE = `it's $HOME \`whoami\` "x" \\ ; rm -rf ~ *`;
+
+/** Runs `printf` through /bin/sh with the given argument list and returns each argument it received. */
+function argsSeenByShell(commandLine) {
+  return execFileSync("/bin/sh", ["-c", `printf '%s\\0' ${commandLine}`]).toString().split("\0").slice(0, -1);
+}
+
+test("shellQuote survives a real POSIX shell", () => {
+  for (const value of [HOSTILE, "", "'", "''", "a b", "new\nline", "😀"]) {
+    assert.deepEqual(argsSeenByShell(shellQuote(value)), [value]);
+  }
+  assert.equal(shellQuote("simple-name_1.txt"), "simple-name_1.txt");
+  assert.equal(shellQuote("it's"), `'it'\\''s'`);
+});
+
+test("shellCommand and sh quote each argument", () => {
+  assert.deepEqual(argsSeenByShell(shellCommand([HOSTILE, "two"])), [HOSTILE, "two"]);
+  assert.equal(sh`pgrep -x ${"My App"} > /dev/null`, "pgrep -x 'My App' > /dev/null");
+  assert.equal(sh`ls ${["a b", "c"]}`, "ls 'a b' c");
+});
+
+test("doShellScript encodes the command line as an AppleScript literal", () => {
+  assert.equal(doShellScript(["killall", HOSTILE]), `do shell script ${quote(`killall ${shellQuote(HOSTILE)}`)}`);
+  assert.equal(doShellScript("uptime"), 'do shell script "uptime"');
+});
+
+test("builders move their arguments through the argv builder", () => {
+  const q = shellQuote(HOSTILE);
+  assert.equal(AppleScript.shell(["echo", HOSTILE]), doShellScript(`echo ${q}`));
+  assert.equal(AppleScript.systemControl.killProcess(HOSTILE), doShellScript(`killall ${q}`));
+  assert.equal(AppleScript.systemControl.ejectVolume(HOSTILE), doShellScript(`diskutil eject ${shellQuote(`/Volumes/${HOSTILE}`)}`));
+  assert.equal(AppleScript.application.forceQuit(HOSTILE), doShellScript(`killall ${q}`));
+  assert.equal(AppleScript.application.isRunning(HOSTILE), `(${doShellScript(`pgrep -x ${q} > /dev/null && echo true || echo false`)}) is "true"`);
+  assert.equal(AppleScript.copyToClipboard(HOSTILE), doShellScript(`printf %s ${q} | pbcopy`));
+  assert.equal(AppleScript.openInDefaultBrowser(HOSTILE), doShellScript(`open ${q}`));
+});
+
+test("script arguments are quoted by the shell at run time, never inlined", () => {
+  const { arg, raw } = AppleScript;
+  assert.equal(AppleScript.systemControl.killProcess(arg(0)), `do shell script ("killall " & quoted form of (__arg0 as text))`);
+  assert.equal(AppleScript.openInDefaultBrowser(arg(1)), `do shell script ("open " & quoted form of (__arg1 as text))`);
+  assert.equal(AppleScript.copyToClipboard(arg(0)), `do shell script ("printf %s " & quoted form of (__arg0 as text) & " | pbcopy")`);
+  assert.equal(AppleScript.systemControl.ejectVolume(arg(0)), `do shell script ("diskutil eject /Volumes/" & quoted form of (__arg0 as text))`);
+  assert.equal(String(sh`ls ${[arg(0), "a b"]} > ${raw("f")}`), `("ls " & quoted form of (__arg0 as text) & " 'a b' > " & quoted form of (f as text))`);
+  assert.equal(shellCommand(["echo", HOSTILE]), `echo ${shellQuote(HOSTILE)}`); // plain values stay text
+
+  assert.throws(() => shellQuote(arg(0)), /shellQuote cannot quote the AppleScript value __arg0/);
+  assert.throws(() => AppleScript.bigAlert(arg(0)), /bigAlert cannot take script arguments/);
+});
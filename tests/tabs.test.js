@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const vm = require("vm");
+const { AppleScript } = require("../apple-script/Apple.js");
+const { tabScript, tabMatcher } = require("../apple-script/tabs.js");
+const { decodePageResult } = require("../apple-script/dom.js");
+
+// a scriptable Chrome or Safari with the given windows of [url, title] tabs, recording what the script does
+function fakeBrowser(name, windows) {
+  const calls = [];
+  const safari = name === "Safari";
+  const made = windows.map((tabs, w) => {
+    const list = tabs.map(([url, title], t) => ({
+      url: () => url,
+      [safari ? "name" : "title"]: () => title,
+      index: () => t + 1,
+      close: () => calls.push(`close ${100 + w}/${t + 1}`)
+    }));
+    return {
+      id: () => 100 + w,
+      tabs: Object.assign(() => list, list),
+      set index(value) { calls.push(`raise ${100 + w}`); },
+      get currentTab() { return () => list[0]; },
+      set currentTab(tab) { calls.push(`select ${100 + w}/${list.indexOf(tab) + 1}`); },
+      get activeTabIndex() { return () => 1; },
+      set activeTabIndex(index) { calls.push(`select ${100 + w}/${index}`); }
+    };
+  });
+  const app = { windows: Object.assign(() => made, { byId: id => made[id - 100] }), activate: () => calls.push("activate") };
+  return { calls, Application: (requested) => (assert.equal(requested, name), app) };
+}
+
+const WINDOWS = [
+  [["https://github.com/a", "Pull requests"], ["https://example.com", "Example"]],
+  [["https://github.com/b", "Issues"]]
+];
+
+function runJXA(source, browser) {
+  return vm.runInNewContext(source, { Application: browser.Application });
+}
+
+test("listTabs reports every tab, or those a target matches", () => {
+  const chrome = fakeBrowser("Google Chrome", WINDOWS);
+  const all = decodePageResult(runJXA(tabScript("list", null), chrome));
+  assert.equal(all.length, 3);
+  assert.deepEqual(all[2], { windowIndex: 2, windowId: 101, tabIndex: 1, url: "https://github.com/b", title: "Issues", active: true });
+
+  const safari = fakeBrowser("Safari", WINDOWS);
+  const github = decodePageResult(runJXA(tabScript("list", { urlMatches: /GITHUB/gi, titleMatches: "Pull" }, "Safari"), safari));
+  assert.deepEqual(github.map(tab => [tab.windowIndex, tab.tabIndex, tab.title]), [[1, 1, "Pull requests"]]);
+  assert.deepEqual(decodePageResult(runJXA(tabScript("list", (tab) => tab.tabIndex === 2), chrome)).map(tab => tab.url), ["https://example.com"]);
+});
+
+test("tabs are located, activated and closed by target", () => {
+  const chrome = fakeBrowser("Google Chrome", WINDOWS);
+  assert.deepEqual(Array.from(runJXA(tabScript("locate", { windowIndex: 2 }), chrome)), [101, 1]);
+  assert.throws(() => runJXA(tabScript("locate", { titleMatches: /nothing/ }), chrome), /No Google Chrome tab matches titleMatches: \/nothing\//);
+
+  const activated = decodePageResult(runJXA(tabScript("activate", { urlMatches: "example" }), chrome));
+  assert.equal(activated.url, "https://example.com");
+  assert.deepEqual(chrome.calls, ["select 100/2", "raise 100", "activate"]);
+
+  const safari = fakeBrowser("Safari", WINDOWS);
+  decodePageResult(runJXA(tabScript("close", { urlMatches: /github/ }, "Safari"), safari));
+  assert.deepEqual(safari.calls, ["close 101/1", "close 100/1"]);
+});
+
+test("tab targets are validated and embedded as data", () => {
+  assert.throws(() => tabMatcher({}, "dom.in"), /dom.in needs at least one of/);
+  assert.throws(() => tabMatcher({ url: "x" }, "dom.in"), /unknown tab target property url/);
+  assert.throws(() => tabMatcher({ tabIndex: "2" }, "dom.in"), /tabIndex must be an integer/);
+  assert.throws(() => AppleScript.browser.closeTabs(), /browser.closeTabs expects a tab target/);
+  assert.match(tabMatcher({ titleMatches: `"); Application("Finder").delete(` }, "dom.in"), /tab\.title\.includes\("\\"\); Application/);
+});
+
+test("dom.in runs page JavaScript in the located tab, located once per step", () => {
+  const github = AppleScript.dom.in({ urlMatches: /github/ });
+  const [locate, click] = github.click("a").split("\n");
+  assert.match(locate, /^set \{__tabWindow, __tabIndex\} to run script ".*" in "JavaScript"$/);
+  assert.match(click, /^tell application "Google Chrome" to execute tab __tabIndex of window id __tabWindow javascript /);
+  assert.match(AppleScript.dom.in({ tabIndex: 2 }, { browser: "Safari" }).getTitle(), /do JavaScript ".*" in tab __tabIndex of window id __tabWindow$/s);
+
+  const wait = github.waitForSelector("#done");
+  assert.equal(wait.match(/run script/g).length, 1);
+  assert.ok(wait.indexOf("run script") < wait.indexOf("repeat while"));
+  const navigation = github.waitForNavigation({ trigger: github.click("a") });
+  assert.equal(navigation.match(/run script/g).length, 2); // the wait's own, and the trigger's
+  assert.equal(github.runAsync(async () => 1).match(/run script/g).length, 1);
+
+  assert.match(AppleScript.dom.click("a"), /^tell application "Google Chrome" to execute front window's active tab javascript /);
+});
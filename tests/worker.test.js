@@ -0,0 +1,197 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { WorkerBackend, ProcessBackend } = require("../backends");
+const { Osascript } = require("../Osascript");
+const { OsascriptWorkerError, OsascriptClosedError, OsascriptTimeoutError } = require("../errors");
+
+// a stand-in osascript that prints its argv, then the script it was given on stdin;
+// an argument `sleep=N` makes it wait N seconds first, and `touch=PATH` creates PATH
+const FAKE_OSASCRIPT = `#!/bin/sh
+for arg in "$@"; do
+  case "$arg" in
+    sleep=*) sleep "\${arg#sleep=}" ;;
+    touch=*) : > "\${arg#touch=}" ;;
+  esac
+  printf '[%s]\\n' "$arg"
+done
+cat
+`;
+
+// PATH stays pointed at the fake for the whole test, so restarted workers find it too
+async function withFakeOsascript(fn, options) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "apple-js-worker-test-"));
+  await fs.writeFile(path.join(dir, "osascript"), FAKE_OSASCRIPT, { mode: 0o755 });
+  const previous = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${previous}`;
+  const backend = new WorkerBackend(options); // the worker inherits PATH
+  try {
+    await fn(backend, dir);
+  } finally {
+    await backend.close({ force: true });
+    process.env.PATH = previous;
+    await fs.rm(dir, { recursive: true });
+  }
+}
+
+// a script that takes `seconds` and prints `[sleep=…]`, then `text`
+function slow(seconds, text = "") {
+  return { script: text, flags: [], args: [`sleep=${seconds}`] };
+}
+
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+test("the script reaches osascript's stdin untouched, with flags and args as argv", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const script = `display dialog "it's $HOME \`id\`"\n__APPLESCRIPT__\n'; echo injected`;
+    const { stdout, code } = await backend.run({ script, flags: ["-l", "JavaScript", "-s", "s"], args: ["a b", "it's"] });
+    assert.equal(code, 0);
+    assert.equal(stdout, `[-l]\n[JavaScript]\n[-s]\n[s]\n[-]\n[a b]\n[it's]\n${script}\n`);
+  });
+});
+
+test("output is not capped", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const script = "x".repeat(4 * 1024 * 1024);
+    const { stdout } = await backend.run({ script, flags: [] });
+    assert.equal(stdout.length, "[-]\n".length + script.length + 1);
+  });
+});
+
+test("characters split across output chunks survive, with either backend", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const script = "x" + "é".repeat(100000);
+    for (const each of [backend, new ProcessBackend()]) {
+      const { stdout } = await each.run({ script, flags: [] });
+      assert.equal(stdout, `[-]\n${script}\n`);
+    }
+  });
+});
+
+test("a timed-out script is killed with what it started, while another keeps running", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend, dir) => {
+    const script = new Osascript({ backend, logger: "silent" });
+    const marker = path.join(dir, "finished");
+
+    const killed = assert.rejects(script.executeScript(["slow"], { timeout: 200, args: ["sleep=0.6", `touch=${marker}`] }), OsascriptTimeoutError);
+    const other = script.executeScript(["other"], { args: ["sleep=0.4"] });
+    await killed;
+    assert.match(await other, /\[sleep=0\.4\]\non run argv\n/);
+
+    await new Promise(resolve => setTimeout(resolve, 600)); // past the killed script's sleep
+    await assert.rejects(fs.access(marker), { code: "ENOENT" });
+  });
+});
+
+const BACKOFF = { initial: 10, factor: 2, max: 1000 };
+
+test("a crash rejects running scripts by default, and a replacement worker takes new ones", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const events = [];
+    for (const event of ["crash", "restart", "spawn"]) backend.on(event, (info) => events.push(event === "restart" ? `restart ${info.attempt} after ${info.delay}` : event));
+
+    const running = assert.rejects(backend.run(slow(5)), (err) => err instanceof OsascriptWorkerError && /exited unexpectedly \(SIGKILL\)/.test(err.message));
+    process.kill(backend.mainThread.pid, "SIGKILL");
+    await running;
+
+    const { stdout } = await backend.run({ script: "again", flags: [] });
+    assert.equal(stdout, "[-]\nagain\n");
+    assert.deepEqual(events, ["crash", "restart 1 after 10", "spawn"]);
+  }, { backoff: BACKOFF });
+});
+
+test("with onCrash: \"replay\", running scripts run once more on the replacement", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const running = backend.run(slow(0.2, "replayed"));
+    const spawned = once(backend, "spawn");
+    process.kill(backend.mainThread.pid, "SIGKILL");
+    await spawned;
+    assert.equal((await running).stdout, "[-]\n[sleep=0.2]\nreplayed\n");
+
+    // but only once
+    const again = assert.rejects(backend.run(slow(5)), OsascriptWorkerError);
+    process.kill(backend.mainThread.pid, "SIGKILL");
+    await once(backend, "spawn");
+    process.kill(backend.mainThread.pid, "SIGKILL");
+    await again;
+  }, { onCrash: "replay", backoff: BACKOFF });
+});
+
+test("restarts back off and give up after maxRestarts consecutive crashes until restart()", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const delays = [];
+    backend.on("restart", ({ delay }) => delays.push(delay));
+    const crashing = () => process.kill(backend.mainThread.pid, "SIGKILL");
+    backend.on("spawn", crashing);
+
+    const waiting = assert.rejects(backend.run(slow(5)), OsascriptWorkerError);
+    const failed = once(backend, "failed");
+    crashing();
+    assert.deepEqual(await failed, { restarts: 2 });
+    assert.deepEqual(delays, [10, 20]);
+    await waiting;
+    await assert.rejects(backend.run({ script: "x", flags: [] }), /Worker is down; call restart\(\)/);
+
+    backend.off("spawn", crashing);
+    backend.restart();
+    assert.equal((await backend.run({ script: "back", flags: [] })).stdout, "[-]\nback\n");
+  }, { maxRestarts: 2, backoff: BACKOFF });
+});
+
+test("close waits for running scripts, or rejects them when forced or timed out", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const graceful = backend.run(slow(0.2, "done"));
+    await backend.close();
+    assert.equal((await graceful).stdout, "[-]\n[sleep=0.2]\ndone\n");
+    await assert.rejects(backend.run({ script: "x", flags: [] }), OsascriptClosedError);
+
+    backend.restart(); // a closed backend can be brought back
+    const forced = assert.rejects(backend.run(slow(5)), OsascriptClosedError);
+    await backend.close({ force: true });
+    await forced;
+
+    backend.restart();
+    const started = Date.now();
+    const timed = assert.rejects(backend.run(slow(5)), OsascriptClosedError);
+    await backend.close({ timeout: 100 });
+    await timed;
+    assert.ok(Date.now() - started < 3000);
+
+    // a timed close that finished early does not force the next worker closed
+    backend.restart();
+    await backend.close({ timeout: 500 });
+    backend.restart();
+    assert.equal((await backend.run(slow(0.8, "after"))).stdout, "[-]\n[sleep=0.8]\nafter\n");
+  });
+});
+
+test("concurrent scripts each get their own response, in whatever order they finish", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const finished = [];
+    const calls = [[0.4, "first"], [0.2, "second"], [0, "third"]].map(([seconds, text]) =>
+      backend.run(slow(seconds, text)).then(({ stdout }) => (finished.push(text), stdout)));
+
+    assert.deepEqual(await Promise.all(calls), [
+      "[-]\n[sleep=0.4]\nfirst\n",
+      "[-]\n[sleep=0.2]\nsecond\n",
+      "[-]\n[sleep=0]\nthird\n"
+    ]);
+    assert.deepEqual(finished, ["third", "second", "first"]);
+  });
+});
+
+test("a response line split across output chunks is reassembled", { skip: process.platform === "win32" }, async () => {
+  await withFakeOsascript(async (backend) => {
+    const pending = backend.run(slow(5)); // request 1; its real answer comes too late to matter
+    const line = Buffer.from(JSON.stringify({ id: 1, stdout: "déjà vu", stderr: "", code: 0 }) + "\n");
+    const split = line.indexOf(Buffer.from("é")) + 1; // inside the two bytes of "é"
+    backend.mainThread.stdout.emit("data", line.subarray(0, split));
+    backend.mainThread.stdout.emit("data", line.subarray(split, split + 10));
+    backend.mainThread.stdout.emit("data", line.subarray(split + 10));
+    assert.deepEqual(await pending, { stdout: "déjà vu", stderr: "", code: 0 });
+  });
+});
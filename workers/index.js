@@ -1,21 +1,98 @@
 // workers/index.js
-const { exec } = require("child_process");
+//
+// Protocol: newline-delimited JSON on stdin / stdout.
+//   request:  {"op":"run","id":1,"script":"...","flags":["-s","s"],"args":[],"file":null}
+//             |  {"op":"kill","id":1}  |  {"op":"exit"}
+//   progress: {"id":1,"stderr":"..."}  — stderr (e.g. `log` output) as it is written
+//   response: {"id":1,"stdout":"...","stderr":"...","code":0}  — once osascript has exited
+// osascript is spawned directly (no shell): the script is written to its stdin,
+// or `file` is run instead, and `args` follow as argv. Scripts run concurrently,
+// so responses may come back in any order — the parent matches them to callers by id.
+const { spawn } = require("child_process");
+const readline = require("readline");
 
-process.stdin.on("data", (chunk) => {
-  const command = chunk.toString().trim();
+/** Running osascript processes by request id, so a single one can be killed. */
+const children = new Map();
 
-  if (command === "exit") {
-    console.log("[Worker] Exiting.");
-    process.exit(0);
+/** Writes a single framed message to the parent process. */
+function send(message) {
+  process.stdout.write(JSON.stringify(message) + "\n");
+}
+
+/** Runs one script, forwards its stderr as it arrives and reports its complete output under the request id. */
+function run(id, { script = "", flags = [], args = [], file = null }) {
+  // detached: osascript gets its own process group, so kill() also reaches what it started
+  const child = spawn("osascript", [...flags, file ?? "-", ...args], { detached: true, stdio: ["pipe", "pipe", "pipe"] });
+  children.set(id, child);
+
+  // output is collected chunk by chunk, so there is no size limit
+  const stdout = [];
+  const stderr = [];
+  child.stdout.on("data", (chunk) => stdout.push(chunk));
+  child.stderr.setEncoding("utf8"); // chunks never split a character
+  child.stderr.on("data", (chunk) => {
+    stderr.push(chunk);
+    send({ id, stderr: chunk });
+  });
+
+  let failure = null;
+  child.on("error", (error) => (failure = error)); // e.g. osascript not found; "close" still follows
+  child.on("close", (code, signal) => {
+    children.delete(id);
+    const err = stderr.join("");
+    send({
+      id,
+      stdout: Buffer.concat(stdout).toString(),
+      stderr: err || (failure ? failure.message : signal ? `osascript was killed (${signal})` : ""),
+      code: failure || code === null ? 1 : code
+    });
+  });
+
+  child.stdin.on("error", () => {}); // osascript may exit before reading everything
+  child.stdin.end(file ? "" : script + "\n");
+}
+
+/** Kills one running script (and everything it started) without touching the others. */
+function kill(id) {
+  const child = children.get(id);
+  if (!child) return;
+  try {
+    process.kill(-child.pid, "SIGTERM");
+  } catch {
+    child.kill("SIGTERM");
+  }
+}
+
+/** Kills every running script and exits — the parent is shutting us down or has gone away. */
+function shutdown() {
+  for (const id of children.keys()) kill(id);
+  process.exit(0);
+}
+
+process.on("SIGTERM", shutdown);
+
+const input = readline.createInterface({ input: process.stdin });
+input.on("close", shutdown);
+
+input.on("line", (line) => {
+  if (!line.trim()) return;
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    process.stderr.write(`[Worker] Ignoring malformed message: ${line}\n`);
     return;
   }
 
-  // Run AppleScript using osascript
-  exec(command, (err, stdout, stderr) => {
-    if (err) {
-      process.stderr.write(`[ERROR] ${stderr || err.message}\n`);
-    } else {
-      process.stdout.write(stdout + "\n"); // send back result
-    }
-  });
+  if (message.op === "exit") {
+    shutdown();
+    return;
+  }
+
+  if (message.op === "run") {
+    run(message.id, message);
+  } else if (message.op === "kill") {
+    kill(message.id);
+  }
 });